@@ -0,0 +1,132 @@
+/**
+ * Pocket Scout Dynamic Time - Asset Tracker
+ * Detects the active asset from the page and reports when the user switches pairs
+ */
+
+window.AssetTracker = (function() {
+  'use strict';
+
+  // Tried top to bottom; first visible label with text wins
+  const SELECTORS = [
+    '.current-symbol',                      // Asset dropdown label
+    '.pair-number-wrap .current-symbol',    // Legacy header
+    '[data-role="current-asset"]',          // Data attribute
+    '.asset-select__name',                  // Asset selector
+    '.chart-item__asset'                    // Chart tab
+  ];
+  const RESCAN_INTERVAL_MS = 3000;
+
+  let observer = null;
+  let observedElement = null;
+  let activeAsset = null;
+  let changeCallback = null;
+  let rescanIntervalId = null;
+
+  /**
+   * Normalize a display label to the stream's asset id: "EUR/USD OTC" -> "EURUSD_otc"
+   */
+  function normalizeAsset(label) {
+    if (!label) return null;
+    const text = label.trim();
+    if (!text) return null;
+    const isOtc = /\botc\b/i.test(text) || /_otc$/i.test(text);
+    const base = text.replace(/_?otc\b/ig, '').replace(/[^a-z0-9#]/ig, '').toUpperCase();
+    if (!base) return null;
+    return isOtc ? `${base}_otc` : base;
+  }
+
+  function findAssetElement() {
+    for (const selector of SELECTORS) {
+      const elements = document.querySelectorAll(selector);
+      for (const element of elements) {
+        if (element.offsetParent === null) continue;
+        const asset = normalizeAsset(element.textContent);
+        if (asset) return { element, asset };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the active asset from the page without subscribing
+   */
+  function detect() {
+    const match = findAssetElement();
+    return match ? match.asset : null;
+  }
+
+  function update(asset) {
+    if (!asset || asset === activeAsset) return;
+    const previous = activeAsset;
+    activeAsset = asset;
+    console.log(`[AssetTracker] 🔀 Active asset: ${previous || 'none'} -> ${asset}`);
+    if (changeCallback) {
+      changeCallback(asset, previous);
+    }
+  }
+
+  function rescan() {
+    if (observedElement && observedElement.isConnected && observedElement.offsetParent !== null) {
+      update(normalizeAsset(observedElement.textContent));
+      return;
+    }
+
+    const match = findAssetElement();
+    if (observer) observer.disconnect();
+    observedElement = null;
+    if (!match) return;
+
+    observedElement = match.element;
+    if (!observer) {
+      observer = new MutationObserver(() => {
+        if (!observedElement || !observedElement.isConnected) {
+          rescan();
+          return;
+        }
+        update(normalizeAsset(observedElement.textContent));
+      });
+    }
+    observer.observe(observedElement, { childList: true, characterData: true, subtree: true });
+    update(match.asset);
+  }
+
+  /**
+   * Start watching: callback receives (asset, previousAsset) on every switch
+   */
+  function start(callback) {
+    if (typeof callback !== 'function') {
+      console.error('[AssetTracker] Callback must be a function');
+      return;
+    }
+
+    stop();
+    changeCallback = callback;
+    rescan();
+    rescanIntervalId = setInterval(rescan, RESCAN_INTERVAL_MS);
+  }
+
+  function stop() {
+    if (rescanIntervalId) {
+      clearInterval(rescanIntervalId);
+      rescanIntervalId = null;
+    }
+    if (observer) observer.disconnect();
+    observedElement = null;
+    changeCallback = null;
+  }
+
+  function getActiveAsset() {
+    return activeAsset;
+  }
+
+  return {
+    start,
+    stop,
+    detect,
+    getActiveAsset,
+    normalizeAsset,
+    SELECTORS
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Asset Tracker loaded');
@@ -0,0 +1,257 @@
+/**
+ * Pocket Scout Dynamic Time - Candle IO
+ * Parses and validates M1 OHLC history exported from other tools (CSV or JSON),
+ * and serializes candles, ticks, signals and metrics into downloadable CSV/JSON files
+ */
+
+window.CandleIO = (function() {
+  'use strict';
+
+  const MAX_IMPORT_CANDLES = 20000;
+  const MAX_ERRORS_REPORTED = 10;
+
+  // Accepted column names, lowercased
+  const COLUMN_ALIASES = {
+    t: ['t', 'time', 'timestamp', 'date', 'datetime', 'open_time', 'opentime'],
+    o: ['o', 'open'],
+    h: ['h', 'high'],
+    l: ['l', 'low'],
+    c: ['c', 'close'],
+    asset: ['asset', 'symbol', 'pair', 'ticker']
+  };
+
+  /**
+   * Epoch seconds, epoch ms or a date string -> ms floored to the minute (null if unparseable)
+   */
+  function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let ms;
+    const numeric = typeof value === 'number' ? value : Number(value);
+    if (isFinite(numeric)) {
+      ms = numeric < 1e12 ? numeric * 1000 : numeric;
+    } else {
+      ms = Date.parse(String(value).trim());
+    }
+    if (!isFinite(ms) || ms <= 0) return null;
+    return Math.floor(ms / 60000) * 60000;
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    return Number(value.trim());
+  }
+
+  /**
+   * Build a candle from raw fields; returns { candle } or { error }
+   */
+  function validateCandle(raw) {
+    const t = parseTime(raw.t);
+    if (t === null) return { error: `invalid time "${raw.t}"` };
+    const o = toNumber(raw.o);
+    const h = toNumber(raw.h);
+    const l = toNumber(raw.l);
+    const c = toNumber(raw.c);
+    if (![o, h, l, c].every(v => isFinite(v) && v > 0)) return { error: 'non-numeric or non-positive price' };
+    if (h < Math.max(o, c) || l > Math.min(o, c) || h < l) return { error: 'high/low do not contain open/close' };
+    return { candle: { t, o, h, l, c } };
+  }
+
+  function resolveColumns(header) {
+    const lower = header.map(name => name.trim().toLowerCase().replace(/^"|"$/g, ''));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = lower.findIndex(name => aliases.includes(name));
+      if (index !== -1) columns[field] = index;
+    }
+    return columns;
+  }
+
+  function parseCsvRows(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { rows: [], errors: ['empty file'] };
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : lines[0].includes('\t') ? '\t' : ',';
+    const split = line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const first = split(lines[0]);
+    let columns = resolveColumns(first);
+    let start = 1;
+
+    // No header: assume time,open,high,low,close
+    if (columns.t === undefined && isFinite(Number(first[1]))) {
+      columns = { t: 0, o: 1, h: 2, l: 3, c: 4 };
+      start = 0;
+    }
+    const missing = ['t', 'o', 'h', 'l', 'c'].filter(field => columns[field] === undefined);
+    if (missing.length) return { rows: [], errors: [`missing columns: ${missing.join(', ')}`] };
+
+    const rows = [];
+    for (let i = start; i < lines.length; i++) {
+      const cells = split(lines[i]);
+      rows.push({
+        line: i + 1,
+        t: cells[columns.t],
+        o: cells[columns.o],
+        h: cells[columns.h],
+        l: cells[columns.l],
+        c: cells[columns.c],
+        asset: columns.asset !== undefined ? cells[columns.asset] : undefined
+      });
+    }
+    return { rows, errors: [] };
+  }
+
+  function parseJsonRows(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { rows: [], errors: [`invalid JSON: ${e.message}`] };
+    }
+
+    const fileAsset = parsed && !Array.isArray(parsed) ? parsed.asset || parsed.symbol : undefined;
+    const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.candles) ? parsed.candles : null;
+    if (!list) return { rows: [], errors: ['expected an array of candles or { candles: [...] }'] };
+
+    const pick = (item, field) => {
+      for (const alias of COLUMN_ALIASES[field]) {
+        if (item[alias] !== undefined) return item[alias];
+      }
+      return undefined;
+    };
+
+    const rows = list.map((item, index) => {
+      if (Array.isArray(item)) {
+        // [time, open, high, low, close]
+        return { line: index + 1, t: item[0], o: item[1], h: item[2], l: item[3], c: item[4], asset: fileAsset };
+      }
+      if (!item || typeof item !== 'object') return { line: index + 1 };
+      return {
+        line: index + 1,
+        t: pick(item, 't'),
+        o: pick(item, 'o'),
+        h: pick(item, 'h'),
+        l: pick(item, 'l'),
+        c: pick(item, 'c'),
+        asset: pick(item, 'asset') || fileAsset
+      };
+    });
+    return { rows, errors: [] };
+  }
+
+  /**
+   * Parse a CSV or JSON export into sorted, de-duplicated M1 candles.
+   * Returns { candles, asset, errors, skipped, duplicates, isM1 }; rows that fail validation are skipped and reported.
+   */
+  function parseCandles(text, format = null) {
+    const trimmed = (text || '').trim();
+    const isJson = format ? format === 'json' : trimmed.startsWith('[') || trimmed.startsWith('{');
+    const { rows, errors } = isJson ? parseJsonRows(trimmed) : parseCsvRows(trimmed);
+
+    const byTime = new Map();
+    const assets = new Set();
+    let skipped = 0;
+    let duplicates = 0;
+    for (const row of rows) {
+      const { candle, error } = validateCandle(row);
+      if (error) {
+        skipped++;
+        if (errors.length < MAX_ERRORS_REPORTED) errors.push(`row ${row.line}: ${error}`);
+        continue;
+      }
+      if (byTime.has(candle.t)) duplicates++;
+      byTime.set(candle.t, candle);
+      if (row.asset) assets.add(String(row.asset));
+    }
+
+    if (assets.size > 1) {
+      errors.push(`file mixes assets (${Array.from(assets).join(', ')})`);
+      return { candles: [], asset: null, errors, skipped, duplicates, isM1: false };
+    }
+
+    const candles = Array.from(byTime.values()).sort((a, b) => a.t - b.t).slice(-MAX_IMPORT_CANDLES);
+
+    // Several rows landing in the same minute, or candles mostly further apart than a minute, means the file is not M1 data
+    const oneMinuteSteps = candles.filter((candle, i) => i > 0 && candle.t - candles[i - 1].t === 60000).length;
+    const isM1 = candles.length > 0 && duplicates <= rows.length * 0.05 &&
+      (candles.length < 3 || oneMinuteSteps >= (candles.length - 1) / 2);
+    if (!isM1 && candles.length > 0) {
+      errors.push(`file does not look like M1 candles (${duplicates} rows share a minute, ${oneMinuteSteps}/${candles.length - 1} one-minute steps)`);
+    }
+
+    return {
+      candles: isM1 ? candles : [],
+      asset: assets.size === 1 ? Array.from(assets)[0] : null,
+      errors,
+      skipped,
+      duplicates,
+      isM1
+    };
+  }
+
+  /**
+   * Read a File (from an <input type="file">) and parse it
+   */
+  function readFile(file) {
+    return file.text().then(text => {
+      const format = /\.json$/i.test(file.name) ? 'json' : /\.(csv|txt)$/i.test(file.name) ? 'csv' : null;
+      return parseCandles(text, format);
+    });
+  }
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serialize flat row objects as CSV (columns default to the keys of the first row)
+   */
+  function toCsv(rows, columns = null) {
+    const header = columns || (rows.length ? Object.keys(rows[0]) : []);
+    const lines = [header.join(',')];
+    for (const row of rows) {
+      lines.push(header.map(column => csvCell(row[column])).join(','));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Save content as a file through a temporary object URL
+   */
+  function download(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Download rows as CSV, or any JSON-serializable payload as JSON
+   */
+  function exportData(filename, data, format = 'csv', columns = null) {
+    if (format === 'json') {
+      download(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else {
+      download(`${filename}.csv`, toCsv(Array.isArray(data) ? data : [data], columns), 'text/csv');
+    }
+  }
+
+  return {
+    parseCandles,
+    readFile,
+    toCsv,
+    download,
+    exportData,
+    validateCandle,
+    parseTime,
+    MAX_IMPORT_CANDLES
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Candle IO loaded');
@@ -0,0 +1,162 @@
+/**
+ * Pocket Scout Dynamic Time - Candle Store
+ * Persists closed M1 candles per asset in IndexedDB so warmup survives reloads
+ */
+
+window.CandleStore = (function() {
+  'use strict';
+
+  const DB_NAME = 'PocketScoutCandles';
+  const DB_VERSION = 1;
+  const CANDLE_STORE = 'candles';
+  const RETENTION_KEY = 'PS_CANDLE_RETENTION';
+
+  // Retention limits (overridable via configure() or localStorage PS_CANDLE_RETENTION)
+  const DEFAULT_RETENTION = {
+    maxCandlesPerAsset: 2000, // Matches CircularBuffer capacity
+    maxAgeHours: 24
+  };
+
+  let retention = { ...DEFAULT_RETENTION };
+  let dbPromise = null;
+
+  function loadRetention() {
+    try {
+      const raw = localStorage.getItem(RETENTION_KEY);
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object') {
+          retention = { ...DEFAULT_RETENTION, ...parsed };
+        }
+      }
+    } catch (e) {
+      console.warn('[CandleStore] ⚠️ Failed to load retention settings', e);
+    }
+  }
+
+  /**
+   * Override retention limits; persisted so they apply on the next page load too
+   */
+  function configure(options = {}) {
+    retention = { ...retention, ...options };
+    try {
+      localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+    } catch (e) {
+      console.warn('[CandleStore] ⚠️ Failed to save retention settings', e);
+    }
+    return { ...retention };
+  }
+
+  function getRetention() {
+    return { ...retention };
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CANDLE_STORE)) {
+          db.createObjectStore(CANDLE_STORE, { keyPath: ['asset', 't'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+    return dbPromise;
+  }
+
+  function assetRange(asset, fromTime = 0, toTime = Number.MAX_SAFE_INTEGER) {
+    return IDBKeyRange.bound([asset, fromTime], [asset, toTime]);
+  }
+
+  function toRecord(asset, candle) {
+    return { asset, t: candle.t, o: candle.o, h: candle.h, l: candle.l, c: candle.c };
+  }
+
+  /**
+   * Save (or overwrite) candles for an asset
+   */
+  async function saveCandles(asset, candles) {
+    if (!asset || !candles || candles.length === 0) return;
+    const db = await openDb();
+    const tx = db.transaction(CANDLE_STORE, 'readwrite');
+    const store = tx.objectStore(CANDLE_STORE);
+    for (const candle of candles) {
+      store.put(toRecord(asset, candle));
+    }
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function saveCandle(asset, candle) {
+    return saveCandles(asset, candle ? [candle] : []);
+  }
+
+  /**
+   * Load an asset's candles within retention, oldest first
+   */
+  async function loadCandles(asset) {
+    const db = await openDb();
+    const cutoff = Date.now() - retention.maxAgeHours * 3600 * 1000;
+    const tx = db.transaction(CANDLE_STORE, 'readonly');
+    const records = await promisify(tx.objectStore(CANDLE_STORE).getAll(assetRange(asset, cutoff)));
+    return records
+      .slice(-retention.maxCandlesPerAsset)
+      .map(r => ({ t: r.t, o: r.o, h: r.h, l: r.l, c: r.c }));
+  }
+
+  /**
+   * Drop candles older than maxAgeHours and beyond maxCandlesPerAsset
+   */
+  async function prune(asset) {
+    const db = await openDb();
+    const cutoff = Date.now() - retention.maxAgeHours * 3600 * 1000;
+    const tx = db.transaction(CANDLE_STORE, 'readwrite');
+    const store = tx.objectStore(CANDLE_STORE);
+
+    store.delete(assetRange(asset, 0, cutoff - 1));
+    const keys = await promisify(store.getAllKeys(assetRange(asset, cutoff)));
+    const excess = keys.length - retention.maxCandlesPerAsset;
+    if (excess > 0) {
+      store.delete(assetRange(asset, cutoff, keys[excess][1] - 1));
+    }
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    return Math.max(0, excess);
+  }
+
+  loadRetention();
+
+  return {
+    configure,
+    getRetention,
+    saveCandle,
+    saveCandles,
+    loadCandles,
+    prune,
+    DEFAULT_RETENTION
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Candle Store loaded');
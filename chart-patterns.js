@@ -0,0 +1,330 @@
+/**
+ * Pocket Scout Dynamic Time - Chart Patterns
+ * Multi-bar patterns over swing points (double tops/bottoms, head and shoulders, triangles, wedges) and
+ * flags, each with its completion state, breakout direction and invalidation level
+ */
+
+window.ChartPatterns = (function() {
+  'use strict';
+
+  const TI = window.TechnicalIndicators;
+
+  const PIVOT_SPAN = 3;           // Bars on each side of a swing point
+  const LOOKBACK = 150;           // Bars scanned for swings
+  const EQUAL_ATR = 0.5;          // Swing prices this close (x ATR) count as equal; also the "flat line" tolerance
+  const MIN_HEIGHT_ATR = 1.5;     // Smallest pattern height worth trading
+  const MIN_PATTERN_BARS = 8;     // Bars between the outer swings of a pattern
+  const MAX_PATTERN_BARS = 80;    // Wider swings are separate moves, not one pattern
+  const MAX_BREAKOUT_AGE = 5;     // Bars a confirmed breakout stays reportable
+  const FLAG_POLE_ATR = 3;        // Impulse that qualifies as a flag pole
+  const FLAG_MAX_POLE_BARS = 10;
+  const FLAG_MIN_BARS = 4;        // Consolidation length of a flag
+  const FLAG_MAX_BARS = 20;
+  const FLAG_MAX_RETRACE = 0.5;   // Share of the pole a flag may give back
+
+  const PATTERNS = {
+    DOUBLE_TOP: { name: 'Double top', base: 0.7 },
+    DOUBLE_BOTTOM: { name: 'Double bottom', base: 0.7 },
+    HEAD_SHOULDERS: { name: 'Head and shoulders', base: 0.8 },
+    INVERSE_HEAD_SHOULDERS: { name: 'Inverse head and shoulders', base: 0.8 },
+    ASCENDING_TRIANGLE: { name: 'Ascending triangle', base: 0.65 },
+    DESCENDING_TRIANGLE: { name: 'Descending triangle', base: 0.65 },
+    SYMMETRICAL_TRIANGLE: { name: 'Symmetrical triangle', base: 0.55 },
+    RISING_WEDGE: { name: 'Rising wedge', base: 0.6 },
+    FALLING_WEDGE: { name: 'Falling wedge', base: 0.6 },
+    BULL_FLAG: { name: 'Bull flag', base: 0.65 },
+    BEAR_FLAG: { name: 'Bear flag', base: 0.65 }
+  };
+
+  // Swing highs and lows merged in time order, consecutive swings of one kind collapsed to the extreme
+  function swingSequence(candles, from) {
+    const pivots = TI.findPivots(candles, PIVOT_SPAN, PIVOT_SPAN, from);
+    const swings = pivots.highs.map(p => ({ ...p, kind: 'H' }))
+      .concat(pivots.lows.map(p => ({ ...p, kind: 'L' })))
+      .sort((a, b) => a.index - b.index);
+
+    const sequence = [];
+    for (const swing of swings) {
+      const last = sequence[sequence.length - 1];
+      if (last && last.kind === swing.kind) {
+        const moreExtreme = swing.kind === 'H' ? swing.price >= last.price : swing.price <= last.price;
+        if (moreExtreme) sequence[sequence.length - 1] = swing;
+      } else {
+        sequence.push(swing);
+      }
+    }
+    return sequence;
+  }
+
+  // Last swings of the sequence ending with `lastKind`, e.g. lastSwings(seq, 3, 'L') -> [L, H, L]
+  function lastSwings(sequence, count, lastKind) {
+    let end = sequence.length;
+    if (end && sequence[end - 1].kind !== lastKind) end--;
+    return end >= count ? sequence.slice(end - count, end) : null;
+  }
+
+  function lineThrough(a, b) {
+    const slope = (b.price - a.price) / (b.index - a.index);
+    return index => a.price + slope * (index - a.index);
+  }
+
+  /**
+   * Walk the closes after the pattern's last swing: the first close through the trigger confirms it in
+   * `bias` direction, a close through the invalidation level (before or after that) kills it
+   */
+  function resolve(candles, after, bias, triggerAt, invalidation) {
+    let breakoutIndex = null;
+    for (let i = after + 1; i < candles.length; i++) {
+      const close = candles[i].c;
+      if (bias === 'BULLISH' ? close < invalidation : close > invalidation) return { state: 'INVALIDATED', breakoutIndex };
+      if (breakoutIndex === null && (bias === 'BULLISH' ? close > triggerAt(i) : close < triggerAt(i))) breakoutIndex = i;
+    }
+    return { state: breakoutIndex === null ? 'FORMING' : 'CONFIRMED', breakoutIndex };
+  }
+
+  function build(type, candles, fields) {
+    const { bias, direction, resolution, trigger, invalidation, target, startIndex, endIndex } = fields;
+    const lastIndex = candles.length - 1;
+    const barsSinceBreakout = resolution.breakoutIndex === null ? null : lastIndex - resolution.breakoutIndex;
+    const freshness = barsSinceBreakout === null ? 0.6 : 1 - 0.3 * barsSinceBreakout / (MAX_BREAKOUT_AGE + 1);
+    return {
+      type,
+      name: PATTERNS[type].name,
+      bias,
+      direction,
+      state: resolution.state,
+      breakoutLevel: trigger,
+      invalidation,
+      target,
+      startIndex,
+      endIndex,
+      breakoutIndex: resolution.breakoutIndex,
+      barsSinceBreakout,
+      strength: PATTERNS[type].base * freshness
+    };
+  }
+
+  // [L1, H, L2] with equal lows (double bottom) or [H1, L, H2] with equal highs (double top); neckline = middle swing
+  function findDouble(candles, sequence, atr) {
+    const found = [];
+    for (const [type, lastKind, bias] of [['DOUBLE_BOTTOM', 'L', 'BULLISH'], ['DOUBLE_TOP', 'H', 'BEARISH']]) {
+      const swings = lastSwings(sequence, 3, lastKind);
+      if (!swings) continue;
+      const [first, middle, second] = swings;
+      const height = Math.abs(middle.price - first.price);
+      if (Math.abs(first.price - second.price) > atr * EQUAL_ATR || height < atr * MIN_HEIGHT_ATR) continue;
+      const span = second.index - first.index;
+      if (span < MIN_PATTERN_BARS || span > MAX_PATTERN_BARS) continue;
+
+      const extreme = bias === 'BULLISH' ? Math.min(first.price, second.price) : Math.max(first.price, second.price);
+      const resolution = resolve(candles, second.index, bias, () => middle.price, extreme);
+      found.push(build(type, candles, {
+        bias,
+        direction: bias,
+        resolution,
+        trigger: middle.price,
+        invalidation: extreme,
+        target: bias === 'BULLISH' ? middle.price + height : middle.price - height,
+        startIndex: first.index,
+        endIndex: second.index
+      }));
+    }
+    return found;
+  }
+
+  // [LS, N1, HEAD, N2, RS]: head beyond both shoulders, shoulders roughly level, neckline through N1-N2
+  function findHeadAndShoulders(candles, sequence, atr) {
+    const found = [];
+    for (const [type, lastKind, bias] of [['HEAD_SHOULDERS', 'H', 'BEARISH'], ['INVERSE_HEAD_SHOULDERS', 'L', 'BULLISH']]) {
+      const swings = lastSwings(sequence, 5, lastKind);
+      if (!swings) continue;
+      const [left, neck1, head, neck2, right] = swings;
+      const sign = bias === 'BEARISH' ? 1 : -1;
+      const beyond = (a, b) => sign * (a - b) > atr * EQUAL_ATR;
+      if (!beyond(head.price, left.price) || !beyond(head.price, right.price)) continue;
+      if (Math.abs(left.price - right.price) > atr * EQUAL_ATR * 2) continue;
+      const span = right.index - left.index;
+      if (span < MIN_PATTERN_BARS * 2 || span > MAX_PATTERN_BARS) continue;
+
+      const neckAt = lineThrough(neck1, neck2);
+      const height = Math.abs(head.price - neckAt(head.index));
+      if (height < atr * MIN_HEIGHT_ATR) continue;
+
+      const resolution = resolve(candles, right.index, bias, neckAt, right.price);
+      const trigger = neckAt(candles.length - 1);
+      found.push(build(type, candles, {
+        bias,
+        direction: bias,
+        resolution,
+        trigger,
+        invalidation: right.price,
+        target: trigger - sign * height,
+        startIndex: left.index,
+        endIndex: right.index
+      }));
+    }
+    return found;
+  }
+
+  /**
+   * Triangles and wedges from the last two swing highs and lows: flat/falling/rising boundary lines that
+   * converge. Direction is the side price actually closed through (bias is what the shape suggests).
+   */
+  function findTriangle(candles, sequence, atr) {
+    const highs = sequence.filter(s => s.kind === 'H').slice(-2);
+    const lows = sequence.filter(s => s.kind === 'L').slice(-2);
+    if (highs.length < 2 || lows.length < 2) return [];
+
+    const startIndex = Math.min(highs[0].index, lows[0].index);
+    const endIndex = Math.max(highs[1].index, lows[1].index);
+    // Both boundaries must be touched twice inside the same stretch, not one after the other
+    if (Math.max(highs[0].index, lows[0].index) > Math.min(highs[1].index, lows[1].index)) return [];
+    if (endIndex - startIndex < MIN_PATTERN_BARS || endIndex - startIndex > MAX_PATTERN_BARS) return [];
+
+    const upperAt = lineThrough(highs[0], highs[1]);
+    const lowerAt = lineThrough(lows[0], lows[1]);
+    const lastIndex = candles.length - 1;
+    const startWidth = upperAt(startIndex) - lowerAt(startIndex);
+    const width = upperAt(lastIndex) - lowerAt(lastIndex);
+    if (width <= 0 || width >= startWidth || startWidth < atr * MIN_HEIGHT_ATR) return [];
+
+    const upperMove = highs[1].price - highs[0].price;
+    const lowerMove = lows[1].price - lows[0].price;
+    const flat = move => Math.abs(move) <= atr * EQUAL_ATR;
+    let type = null;
+    let bias = null;
+    if (flat(upperMove) && lowerMove > 0) {
+      type = 'ASCENDING_TRIANGLE';
+      bias = 'BULLISH';
+    } else if (flat(lowerMove) && upperMove < 0) {
+      type = 'DESCENDING_TRIANGLE';
+      bias = 'BEARISH';
+    } else if (upperMove < 0 && lowerMove > 0) {
+      type = 'SYMMETRICAL_TRIANGLE';
+    } else if (upperMove > 0 && lowerMove > 0) {
+      type = 'RISING_WEDGE';
+      bias = 'BEARISH';
+    } else if (upperMove < 0 && lowerMove < 0) {
+      type = 'FALLING_WEDGE';
+      bias = 'BULLISH';
+    }
+    if (!type) return [];
+
+    // A break through either boundary counts; the opposite swing then invalidates it
+    const up = resolve(candles, endIndex, 'BULLISH', upperAt, -Infinity);
+    const down = resolve(candles, endIndex, 'BEARISH', lowerAt, Infinity);
+    let direction = bias;
+    let resolution = { state: 'FORMING', breakoutIndex: null };
+    if (up.breakoutIndex !== null && (down.breakoutIndex === null || up.breakoutIndex > down.breakoutIndex)) {
+      direction = 'BULLISH';
+      resolution = resolve(candles, endIndex, 'BULLISH', upperAt, lows[1].price);
+    } else if (down.breakoutIndex !== null) {
+      direction = 'BEARISH';
+      resolution = resolve(candles, endIndex, 'BEARISH', lowerAt, highs[1].price);
+    }
+
+    const trigger = direction === 'BEARISH' ? lowerAt(lastIndex) : upperAt(lastIndex);
+    return [build(type, candles, {
+      bias,
+      direction,
+      resolution,
+      trigger,
+      invalidation: direction === 'BULLISH' ? lows[1].price : direction === 'BEARISH' ? highs[1].price : null,
+      target: direction === 'BULLISH' ? trigger + startWidth : direction === 'BEARISH' ? trigger - startWidth : null,
+      startIndex,
+      endIndex
+    })];
+  }
+
+  /**
+   * Flags: a pole of at least FLAG_POLE_ATR ending at bar p, then FLAG_MIN_BARS..FLAG_MAX_BARS bars that
+   * neither extend the pole nor give back more than FLAG_MAX_RETRACE of it. The last bar is left out of the
+   * flag so it can be the breakout.
+   */
+  function findFlag(candles, atr) {
+    const lastIndex = candles.length - 1;
+    for (let p = lastIndex - 1 - FLAG_MIN_BARS; p >= Math.max(FLAG_MAX_POLE_BARS, lastIndex - 1 - FLAG_MAX_BARS); p--) {
+      for (const bias of ['BULLISH', 'BEARISH']) {
+        const bullish = bias === 'BULLISH';
+        const tip = bullish ? candles[p].h : candles[p].l;
+        let base = tip;
+        for (let i = p - FLAG_MAX_POLE_BARS; i < p; i++) {
+          base = bullish ? Math.min(base, candles[i].l) : Math.max(base, candles[i].h);
+        }
+        const pole = Math.abs(tip - base);
+        if (pole < atr * FLAG_POLE_ATR) continue;
+
+        let high = -Infinity;
+        let low = Infinity;
+        for (let i = p + 1; i < lastIndex; i++) {
+          high = Math.max(high, candles[i].h);
+          low = Math.min(low, candles[i].l);
+        }
+        const extendsPole = bullish ? high > tip : low < tip;
+        const retrace = bullish ? tip - low : high - tip;
+        if (extendsPole || retrace > pole * FLAG_MAX_RETRACE) continue;
+
+        const trigger = bullish ? high : low;
+        const invalidation = bullish ? low : high;
+        const resolution = resolve(candles, lastIndex - 1, bias, () => trigger, invalidation);
+        return [build(bullish ? 'BULL_FLAG' : 'BEAR_FLAG', candles, {
+          bias,
+          direction: bias,
+          resolution,
+          trigger,
+          invalidation,
+          target: bullish ? trigger + pole : trigger - pole,
+          startIndex: p - FLAG_MAX_POLE_BARS,
+          endIndex: lastIndex - 1
+        })];
+      }
+    }
+    return [];
+  }
+
+  function describe(pattern, timeframe) {
+    if (pattern.state === 'CONFIRMED') {
+      const bars = pattern.barsSinceBreakout;
+      const when = bars === 0 ? 'this bar' : `${bars} bar${bars === 1 ? '' : 's'} ago`;
+      const side = pattern.direction !== pattern.bias ? ` ${pattern.direction === 'BULLISH' ? 'up' : 'down'}` : '';
+      return `${pattern.name} breakout${side} (${when}, ${timeframe})`;
+    }
+    return `${pattern.name} forming, trigger ${pattern.breakoutLevel.toFixed(5)} (${timeframe})`;
+  }
+
+  /**
+   * Live chart patterns on a candle array (M1 rows or an aggregated series such as M5), strongest first.
+   * Each is { type, name, timeframe, bias, direction, state: 'FORMING'|'CONFIRMED', breakoutLevel,
+   * invalidation, target, startIndex, endIndex, breakoutIndex, barsSinceBreakout, strength 0-1, label }.
+   * Invalidated patterns and breakouts older than MAX_BREAKOUT_AGE bars are dropped.
+   */
+  function detect(candles, timeframe = 'M1') {
+    if (!candles || candles.length < 30) return [];
+    return TI.memoFor(candles, `patterns:${timeframe}`, rows => findPatterns(rows, timeframe));
+  }
+
+  function findPatterns(candles, timeframe) {
+    const atr = TI.indicatorsFor(candles).atr(14);
+    if (!atr) return [];
+    const sequence = swingSequence(candles, Math.max(0, candles.length - LOOKBACK));
+
+    const patterns = [
+      ...findDouble(candles, sequence, atr),
+      ...findHeadAndShoulders(candles, sequence, atr),
+      ...findTriangle(candles, sequence, atr),
+      ...findFlag(candles, atr)
+    ]
+      .filter(p => p.state !== 'INVALIDATED' && (p.barsSinceBreakout === null || p.barsSinceBreakout <= MAX_BREAKOUT_AGE))
+      .map(p => ({ ...p, timeframe, label: describe(p, timeframe) }))
+      .sort((a, b) => b.strength - a.strength);
+    return patterns;
+  }
+
+  return {
+    detect,
+    PATTERNS,
+    MAX_BREAKOUT_AGE
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Chart Patterns loaded');
@@ -1,90 +1,332 @@
 /**
  * Pocket Scout Time - Circular Buffer for M1 Candles
- * Simplified version - 2000 candles capacity
+ * Column-oriented (Float64Array) candle storage - 2000 candles capacity per asset, with M5/M15/H1
+ * aggregates, S5/S15/S30 sub-minute candles and a bounded raw tick store
  */
 
 window.CircularBuffer = (function() {
   'use strict';
 
   const MAX_CANDLES = 2000;
+  const MAX_TICKS = 7200; // ~1-2h of stream ticks; enough to verify any 1-5 min expiry
+  const SUB_MINUTE_HISTORY_MS = 60 * 60 * 1000; // Sub-minute candles kept for the last hour
 
-  class CandleBuffer {
-    constructor(maxSize = MAX_CANDLES) {
-      this.maxSize = maxSize;
-      this.buffer = new Array(maxSize);
+  // Candle duration per timeframe; everything above M1 is aggregated from M1 as it updates,
+  // sub-minute candles are built from raw ticks (they cannot be rebuilt from restored M1 history)
+  const TIMEFRAMES = {
+    S5: 5 * 1000,
+    S15: 15 * 1000,
+    S30: 30 * 1000,
+    M1: 60 * 1000,
+    M5: 5 * 60 * 1000,
+    M15: 15 * 60 * 1000,
+    H1: 60 * 60 * 1000
+  };
+  const AGGREGATED_TIMEFRAMES = ['M5', 'M15', 'H1'];
+  const SUB_MINUTE_TIMEFRAMES = ['S5', 'S15', 'S30'];
+
+  // t/o/h/l/c plus n (ticks folded into the candle; 0 for restored, imported and aggregated candles)
+  const FIELDS = ['t', 'o', 'h', 'l', 'c', 'n'];
+  const FLAG_SYNTHETIC = 1;
+
+  /**
+   * Candle ring stored as one Float64Array per field. Every value is written twice (at i and
+   * i + capacity), so the newest candles are always one contiguous range and a window of them is
+   * a zero-copy subarray. Candle objects are kept alongside as a row cache for object-style callers.
+   */
+  class CandleColumns {
+    constructor(capacity = MAX_CANDLES) {
+      this.capacity = capacity;
+      this.columns = {};
+      for (const field of FIELDS) {
+        this.columns[field] = new Float64Array(capacity * 2);
+      }
+      this.flags = new Uint8Array(capacity * 2);
       this.head = 0;
-      this.tail = 0;
       this.size = 0;
-      this.isFull = false;
+      this.rows = [];
+    }
+
+    write(index, row) {
+      const mirror = index + this.capacity;
+      for (const field of FIELDS) {
+        this.columns[field][index] = row[field];
+        this.columns[field][mirror] = row[field];
+      }
+      const flag = row.synthetic ? FLAG_SYNTHETIC : 0;
+      this.flags[index] = flag;
+      this.flags[mirror] = flag;
+    }
+
+    lastIndex() {
+      return (this.head - 1 + this.capacity) % this.capacity;
     }
 
     push(candle) {
-      this.buffer[this.head] = candle;
-      
-      if (this.isFull) {
-        this.tail = (this.tail + 1) % this.maxSize;
-      } else {
+      const row = { t: candle.t, o: candle.o, h: candle.h, l: candle.l, c: candle.c, n: candle.n || 0 };
+      if (candle.synthetic) row.synthetic = true;
+
+      this.write(this.head, row);
+      this.head = (this.head + 1) % this.capacity;
+      if (this.size < this.capacity) {
         this.size++;
-        if (this.size === this.maxSize) {
-          this.isFull = true;
-        }
+      } else {
+        this.rows.shift();
       }
-      
-      this.head = (this.head + 1) % this.maxSize;
+      this.rows.push(row);
     }
 
+    // Extend the newest candle: h/l widen, c replaces, n adds
     updateLast(updates) {
       if (this.size === 0) return;
-      
-      const lastIndex = this.head === 0 ? this.maxSize - 1 : this.head - 1;
-      const lastCandle = this.buffer[lastIndex];
-      
-      if (lastCandle) {
-        if (updates.h !== undefined) lastCandle.h = Math.max(lastCandle.h, updates.h);
-        if (updates.l !== undefined) lastCandle.l = Math.min(lastCandle.l, updates.l);
-        if (updates.c !== undefined) lastCandle.c = updates.c;
-      }
+      const row = this.rows[this.rows.length - 1];
+      if (updates.h !== undefined) row.h = Math.max(row.h, updates.h);
+      if (updates.l !== undefined) row.l = Math.min(row.l, updates.l);
+      if (updates.c !== undefined) row.c = updates.c;
+      if (updates.n) row.n += updates.n;
+      this.write(this.lastIndex(), row);
     }
 
-    toArray() {
-      if (this.size === 0) return [];
-      
-      const result = [];
-      for (let i = 0; i < this.size; i++) {
-        const index = (this.tail + i) % this.maxSize;
-        result.push(this.buffer[index]);
+    /**
+     * Zero-copy views of the newest `count` candles: { t, o, h, l, c, n, synthetic }.
+     * Views are read-only by convention and only valid until the next push (copy them to keep them).
+     */
+    view(count = this.size) {
+      const length = Math.max(0, Math.min(count, this.size));
+      const start = (this.head - length + this.capacity) % this.capacity;
+      const result = { synthetic: this.flags.subarray(start, start + length) };
+      for (const field of FIELDS) {
+        result[field] = this.columns[field].subarray(start, start + length);
       }
-      
       return result;
     }
 
+    // Row cache, oldest first (shared, do not mutate)
+    toArray() {
+      return this.rows;
+    }
+
     getLastCandle() {
-      if (this.size === 0) return null;
-      const lastIndex = this.head === 0 ? this.maxSize - 1 : this.head - 1;
-      return this.buffer[lastIndex];
+      return this.size === 0 ? null : this.rows[this.rows.length - 1];
+    }
+
+    clear() {
+      this.head = 0;
+      this.size = 0;
+      this.rows = [];
+    }
+  }
+
+  /**
+   * Fixed-size ring of raw ticks ({ t, p }), oldest overwritten first
+   */
+  class TickRing {
+    constructor(capacity = MAX_TICKS) {
+      this.capacity = capacity;
+      this.items = new Array(capacity);
+      this.head = 0;
+      this.size = 0;
+    }
+
+    push(tick) {
+      this.items[this.head] = tick;
+      this.head = (this.head + 1) % this.capacity;
+      if (this.size < this.capacity) this.size++;
+    }
+
+    // i-th oldest tick
+    at(i) {
+      return this.items[(this.head - this.size + i + this.capacity) % this.capacity];
+    }
+
+    last() {
+      return this.size === 0 ? null : this.at(this.size - 1);
+    }
+
+    // Index of the last tick at or before a time (-1 if none); ticks are kept in time order
+    indexAtOrBefore(time) {
+      let low = 0;
+      let high = this.size - 1;
+      let found = -1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (this.at(mid).t <= time) {
+          found = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return found;
+    }
+  }
+
+  const DEFAULT_ASSET = 'default';
+  const instances = new Map(); // One candle series per asset
+
+  /**
+   * Fold a candle (or a tick as a flat candle) into a coarser series: open a new bucket or extend the last one
+   */
+  function foldCandle(aggregate, duration, candle, ticks = 0) {
+    const bucket = Math.floor(candle.t / duration) * duration;
+    const last = aggregate.getLastCandle();
+
+    if (!last || last.t < bucket) {
+      aggregate.push({ t: bucket, o: candle.o, h: candle.h, l: candle.l, c: candle.c, n: ticks });
+    } else if (last.t === bucket) {
+      aggregate.updateLast({ h: candle.h, l: candle.l, c: candle.c, n: ticks });
     }
   }
 
-  let instance = null;
-
-  function getInstance() {
-    if (!instance) {
-      const buffer = new CandleBuffer(MAX_CANDLES);
-      
-      instance = {
-        add: (candle) => buffer.push(candle),
-        getAll: () => buffer.toArray(),
-        getLatest: () => buffer.getLastCandle(),
-        size: () => buffer.size,
-        capacity: MAX_CANDLES,
-        updateLast: (updates) => buffer.updateLast(updates)
-      };
-    }
-    return instance;
+  function createInstance() {
+    const buffer = new CandleColumns(MAX_CANDLES);
+    const aggregates = {};
+    for (const timeframe of AGGREGATED_TIMEFRAMES) {
+      // Enough slots to cover the whole M1 history
+      const capacity = Math.ceil(MAX_CANDLES * TIMEFRAMES.M1 / TIMEFRAMES[timeframe]) + 1;
+      aggregates[timeframe] = new CandleColumns(capacity);
+    }
+    for (const timeframe of SUB_MINUTE_TIMEFRAMES) {
+      aggregates[timeframe] = new CandleColumns(SUB_MINUTE_HISTORY_MS / TIMEFRAMES[timeframe]);
+    }
+    const ticks = new TickRing(MAX_TICKS);
+
+    function foldIntoAggregates(candle) {
+      for (const timeframe of AGGREGATED_TIMEFRAMES) {
+        foldCandle(aggregates[timeframe], TIMEFRAMES[timeframe], candle);
+      }
+    }
+
+    function rebuildAggregates() {
+      for (const timeframe of AGGREGATED_TIMEFRAMES) {
+        aggregates[timeframe].clear();
+      }
+      buffer.toArray().forEach(foldIntoAggregates);
+    }
+
+    function seriesFor(timeframe) {
+      return timeframe === 'M1' ? buffer : aggregates[timeframe] || null;
+    }
+
+    // Last tick at or before a time; null when the tick store does not reach back that far
+    function getTickAt(time) {
+      const index = ticks.indexAtOrBefore(time);
+      return index === -1 ? null : ticks.at(index);
+    }
+
+    return {
+      // candle.n = ticks already in the candle (1 when a tick opens it, 0 when a heartbeat does)
+      add: (candle) => {
+        buffer.push(candle);
+        foldIntoAggregates(candle);
+      },
+      // Shared row cache, oldest first: no copy, read-only
+      getAll: () => buffer.toArray(),
+      getLatest: () => buffer.getLastCandle(),
+      size: () => buffer.size,
+      capacity: MAX_CANDLES,
+      // updates.n = ticks to add to the candle's tick count
+      updateLast: (updates) => {
+        buffer.updateLast(updates);
+        const last = buffer.getLastCandle();
+        if (last) foldIntoAggregates(last);
+      },
+      merge: (candles) => {
+        const count = mergeCandles(buffer, candles);
+        rebuildAggregates();
+        return count;
+      },
+      // Record a raw tick and fold it into the S5/S15/S30 series (M1 is still built by the caller)
+      addTick: (timestamp, price) => {
+        const last = ticks.last();
+        if (last && timestamp < last.t) return; // Out-of-order tick
+        ticks.push({ t: timestamp, p: price });
+        const flat = { t: timestamp, o: price, h: price, l: price, c: price };
+        for (const timeframe of SUB_MINUTE_TIMEFRAMES) {
+          foldCandle(aggregates[timeframe], TIMEFRAMES[timeframe], flat, 1);
+        }
+      },
+      getTicks: (fromTime = 0, toTime = Infinity) => {
+        const result = [];
+        for (let i = Math.max(0, ticks.indexAtOrBefore(fromTime)); i < ticks.size; i++) {
+          const tick = ticks.at(i);
+          if (tick.t > toTime) break;
+          if (tick.t >= fromTime) result.push(tick);
+        }
+        return result;
+      },
+      getTickAt,
+      // Candles for any timeframe (S5-S30, M1, M5, M15, H1) as shared rows, oldest first; null for unknown timeframes
+      getSeries: (timeframe = 'M1') => {
+        const series = seriesFor(timeframe);
+        return series ? series.toArray() : null;
+      },
+      // Zero-copy column views of the newest `count` candles (default: all); valid until the next update
+      getColumns: (count = Infinity, timeframe = 'M1') => {
+        const series = seriesFor(timeframe);
+        return series ? series.view(count) : null;
+      }
+    };
+  }
+
+  /**
+   * Merge candles (restored or imported) into a buffer, ordered by time.
+   * A minute present in both keeps the earlier open, the widest range and the buffer's close.
+   */
+  function mergeCandles(buffer, candles) {
+    const byTime = new Map();
+    for (const candle of candles || []) {
+      byTime.set(candle.t, { ...candle });
+    }
+    for (const candle of buffer.toArray()) {
+      const existing = byTime.get(candle.t);
+      byTime.set(candle.t, existing ? {
+        ...candle,
+        o: existing.o,
+        h: Math.max(existing.h, candle.h),
+        l: Math.min(existing.l, candle.l)
+      } : candle);
+    }
+
+    const merged = Array.from(byTime.values()).sort((a, b) => a.t - b.t).slice(-buffer.capacity);
+    buffer.clear();
+    merged.forEach(candle => buffer.push(candle));
+    return merged.length;
+  }
+
+  function getInstance(asset = DEFAULT_ASSET) {
+    if (!instances.has(asset)) {
+      instances.set(asset, createInstance());
+    }
+    return instances.get(asset);
   }
 
-  return { getInstance, MAX_CANDLES };
+  function hasInstance(asset) {
+    return instances.has(asset);
+  }
+
+  /**
+   * Re-key an asset's series (e.g. placeholder data once the real asset name is known)
+   */
+  function renameInstance(fromAsset, toAsset) {
+    if (!instances.has(fromAsset) || instances.has(toAsset)) return false;
+    instances.set(toAsset, instances.get(fromAsset));
+    instances.delete(fromAsset);
+    return true;
+  }
+
+  /**
+   * Drop an asset's series (e.g. a background asset evicted to bound memory)
+   */
+  function removeInstance(asset) {
+    return instances.delete(asset);
+  }
+
+  function getAssets() {
+    return Array.from(instances.keys());
+  }
+
+  return { getInstance, hasInstance, renameInstance, removeInstance, getAssets, MAX_CANDLES, MAX_TICKS, DEFAULT_ASSET, TIMEFRAMES };
 })();
 
 console.log('[Pocket Scout Time] Circular Buffer loaded - 2000 candles capacity');
-
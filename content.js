@@ -10,9 +10,19 @@
   const FEED_KEY = 'PS_AT_FEED';
   const WARMUP_MINUTES = 50; // Optimal warmup: 50 minutes
   const WARMUP_CANDLES = WARMUP_MINUTES; // 1 candle per minute
-
-  // State
-  const circularBuffer = window.CircularBuffer.getInstance();
+  const EXPIRY_TICK_TOLERANCE_MS = 30000; // Expiry tick must be this recent, otherwise fall back to M1 candles
+  const GAP_FILL_MAX_MINUTES = 5; // Shorter gaps are filled with synthetic flat candles, longer ones stay as breaks
+  const GAP_LOOKBACK_CANDLES = 26; // Slowest EMA used by the gates; a break inside it blocks new signals
+  const ELEVATE_MIN_Q_ADVANTAGE = 0.15; // DQN advantage over the runner-up needed to lift confidence above 74
+  const ELEVATE_MIN_REGIME_CONFIDENCE = 0.5; // HMM top-regime probability x persistence needed to elevate
+  const REGIME_CHANGE_MAX_PENALTY = 0.15; // Largest confidence cut for a likely regime change
+  const MAX_BACKGROUND_CONTEXTS = 4; // Previously opened assets kept fed from the page stream; least recently viewed go first
+
+  // State (active asset view; other assets are parked in assetContexts)
+  const DEFAULT_ASSET = window.CircularBuffer.DEFAULT_ASSET;
+  const assetContexts = new Map(); // asset -> { buffer, warmupComplete, warmupNeeded, freshCandles, lastPrice, lastRegime, parkedSignal, lastViewed }
+  let activeAsset = null;
+  let circularBuffer = null;
   let ohlcM1 = [];
   let lastPrice = null;
   let warmupComplete = false;
@@ -27,22 +37,27 @@
   let cachedSeries = null; // cached OHLC arrays for latency reduction
   let cachedVersion = null; // track last candle time for cache invalidation
   let gateRejectStreak = 0; // track consecutive gate rejections to enable soft exploration
-  const GLOBAL_THRESHOLDS = window.PocketScoutThresholds || {};
-  const VOL_RISK_LOW = GLOBAL_THRESHOLDS.VOL_RISK_LOW || 0.002;
-  const VOL_RISK_ELEVATED = GLOBAL_THRESHOLDS.VOL_RISK_ELEVATED || 0.012;
-  const VOL_RISK_EXTREME = GLOBAL_THRESHOLDS.VOL_RISK_EXTREME || 0.02;
+  let feedStale = false; // price feed health (blocks new timing windows while stale)
 
   // UI Elements
   let UI = {};
 
-  // Cache helper to avoid repeated array construction
+  // Zero-copy column views of the active buffer (Float64Array, read-only). Views follow in-candle
+  // updates on their own, so they are only rebuilt when a candle opens or history is merged.
   function refreshSeries() {
+    const columns = circularBuffer ? circularBuffer.getColumns() : null;
+    const empty = new Float64Array(0);
     cachedSeries = {
-      closes: ohlcM1.map(c => c.c),
-      highs: ohlcM1.map(c => c.h),
-      lows: ohlcM1.map(c => c.l),
-      opens: ohlcM1.map(c => c.o),
-      candles: ohlcM1
+      closes: columns ? columns.c : empty,
+      highs: columns ? columns.h : empty,
+      lows: columns ? columns.l : empty,
+      opens: columns ? columns.o : empty,
+      candles: ohlcM1,
+      // Streaming indicators over the same rows, shared with the groups, regime detector and RL state
+      indicators: window.TechnicalIndicators.indicatorsFor(ohlcM1),
+      gaps: window.TechnicalIndicators.analyzeGaps(ohlcM1, GAP_LOOKBACK_CANDLES),
+      // Other timeframes (S5/S15/S30 from ticks, M5/M15/H1 from M1) for groups that want them
+      getSeries: (timeframe) => circularBuffer ? circularBuffer.getSeries(timeframe) : null
     };
     cachedVersion = ohlcM1.length ? ohlcM1[ohlcM1.length - 1].t : null;
   }
@@ -55,121 +70,421 @@
     return cachedSeries;
   }
 
+  // Closed entry-timeframe (S15) candles the timing controller scores entries on
+  function getEntryCandles() {
+    if (!circularBuffer || !window.SignalTimingController) return [];
+    return (circularBuffer.getSeries(window.SignalTimingController.ENTRY_TIMEFRAME) || []).slice(0, -1);
+  }
+
+  // Higher-timeframe candles used to confirm M1 entries
+  function getHigherTimeframes() {
+    if (!circularBuffer) return null;
+    return {
+      M5: circularBuffer.getSeries('M5'),
+      M15: circularBuffer.getSeries('M15')
+    };
+  }
+
+  // ATR/price ratio ranked against this asset's own history (VolatilityModel)
   function getRiskSummary() {
-    if (!ohlcM1 || ohlcM1.length < 20 || !window.TechnicalIndicators) return null;
-    const { closes, highs, lows } = getSeries();
-    const TI = window.TechnicalIndicators;
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    if (!atr || !avgPrice) return null;
-    const ratio = atr / avgPrice;
-    let level = 'BALANCED';
-    if (ratio < VOL_RISK_LOW) level = 'LOW';
-    else if (ratio > VOL_RISK_EXTREME) level = 'EXTREME';
-    else if (ratio > VOL_RISK_ELEVATED) level = 'HIGH';
-    return { ratio, level };
+    if (!ohlcM1 || ohlcM1.length < 20 || !window.VolatilityModel) return null;
+    const volatility = window.VolatilityModel.classify(ohlcM1);
+    if (!volatility) return null;
+    const { ratio, level, percentile, adaptive } = volatility;
+    return { ratio, level, percentile, adaptive };
   }
 
   function getPatternSummary() {
     if (!ohlcM1 || ohlcM1.length < 2 || !window.TechnicalIndicators) return null;
-    return window.TechnicalIndicators.detectCandlestickPatterns(ohlcM1.slice(-3));
+    return window.TechnicalIndicators.detectCandlestickPatterns(ohlcM1);
   }
 
-  // Read price from DOM - ROBUST VERSION
-  function readPriceFromDom() {
-    // Primary reliable selectors for Pocket Option
-    const selectors = [
-      '.current-rate-value',             // New platform version
-      '.current-rate__value',            // Standard
-      '.chart-rate__value',              // Chart specific
-      '.rate-value',                     // Generic
-      '[data-role="current-rate"]',      // Data attribute
-      '.assets-table__cell--rate',       // Asset table
-      '.strike-rate__value',             // Strike price
-      'span.open-time-number',           // Legacy
-      '#price',                          // Fallback ID
-      '.current-price'                   // Fallback class
-    ];
-    
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        // Check visibility
-        if (element.offsetParent === null) continue;
-        
-        const text = element.textContent.trim().replace(/[^0-9.]/g, '');
-        const price = parseFloat(text);
-        
-        // Basic validation for currency pairs (must be positive, likely between 0.5 and 200 for forex/crypto)
-        if (!isNaN(price) && price > 0) {
-          return price;
-        }
+  // Live chart patterns on M1 and M5, strongest first
+  function getChartPatternSummary() {
+    if (!window.ChartPatterns) return [];
+    const m5 = circularBuffer ? circularBuffer.getSeries('M5') : null;
+    return window.ChartPatterns.detect(ohlcM1, 'M1')
+      .concat(m5 ? window.ChartPatterns.detect(m5, 'M5') : [])
+      .sort((a, b) => b.strength - a.strength);
+  }
+
+  const REGIME_DIMENSION_LABELS = { volatility: 'Vol', trend: 'Trend', phase: 'Phase', hmm: 'HMM' };
+  const REGIME_STRIP_EVENTS = 6;
+
+  function formatRegimeChange(event) {
+    return `${REGIME_DIMENSION_LABELS[event.dimension] || event.dimension} ${event.from}→${event.to}`;
+  }
+
+  // Colour of a transition by where it lands: trend direction, rising volatility or a breakout stand out
+  function regimeChangeColor(event) {
+    if (event.to === 'BULLISH' || event.to === 'BULL_TREND') return '#10b981';
+    if (event.to === 'BEARISH' || event.to === 'BEAR_TREND') return '#ef4444';
+    if (event.to === 'HIGH' || event.to === 'VOLATILE' || event.to === 'BREAKOUT') return '#f59e0b';
+    return '#94a3b8';
+  }
+
+  // Recent regime transitions of the active asset as a strip of time-stamped chips, newest last
+  function renderRegimeTimeline() {
+    if (!window.MarketRegimeDetector || !window.MarketRegimeDetector.getTimeline) return '';
+    const events = window.MarketRegimeDetector.getTimeline(window.MarketRegimeDetector.getActiveAsset(), REGIME_STRIP_EVENTS);
+    if (events.length === 0) return '';
+    const chips = events.map(event => {
+      const time = new Date(event.candleTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `<span style="white-space:nowrap; padding:2px 4px; border-radius:4px; ` +
+        `background:#1e293b; border-left:3px solid ${regimeChangeColor(event)}; font-size:9px;" ` +
+        `title="${time} ${formatRegimeChange(event)} @ ${event.price.toFixed(5)}">${time} ${formatRegimeChange(event)}</span>`;
+    }).join('');
+    return `
+        <div style="margin-top:6px; font-size:10px;">
+          <div style="opacity:0.7; margin-bottom:3px;">Regime timeline</div>
+          <div style="display:flex; flex-wrap:wrap; gap:3px;">${chips}</div>
+        </div>`;
+  }
+
+  // Refresh feed health and react when the feed goes stale or recovers
+  function checkFeedHealth() {
+    if (!window.PriceSource) return null;
+    const health = window.PriceSource.getHealth();
+    if (health.stale !== feedStale) {
+      feedStale = health.stale;
+      if (feedStale) {
+        console.warn(`[Pocket Scout Dynamic Time] ⚠️ Feed stale: ${health.staleReason} (adapter: ${health.adapter || 'none'}, selector: ${health.selector || 'none'})`);
+      } else {
+        console.log(`[Pocket Scout Dynamic Time] ✅ Feed recovered (adapter: ${health.adapter}, selector: ${health.selector})`);
       }
+      updateUI([]);
     }
-    
-    // Fallback: Try to find any text node that looks like a price in the chart container
-    const chartContainer = document.querySelector('.chart-container') || document.body;
-    if (chartContainer) {
-      // Regex for price pattern like 1.23456 or 150.25
-      const priceRegex = /\b\d+\.\d{2,6}\b/;
-      const matches = chartContainer.innerText.match(priceRegex);
-      if (matches && matches.length > 0) {
-        return parseFloat(matches[0]);
+    return health;
+  }
+
+  function getAssetContext(asset) {
+    if (!assetContexts.has(asset)) {
+      assetContexts.set(asset, {
+        asset,
+        buffer: window.CircularBuffer.getInstance(asset),
+        warmupComplete: false,
+        warmupNeeded: WARMUP_CANDLES, // live candles still required (less after a restore)
+        freshCandles: 0,
+        restoreStarted: false,
+        lastPrice: null,
+        lastRegime: null,
+        parkedSignal: null,
+        lastViewed: 0
+      });
+    }
+    return assetContexts.get(asset);
+  }
+
+  function getWarmupProgress() {
+    const context = activeAsset ? getAssetContext(activeAsset) : null;
+    if (!context) return { done: 0, needed: WARMUP_CANDLES, percent: 0 };
+    const done = Math.min(context.freshCandles, context.warmupNeeded);
+    const percent = context.warmupNeeded > 0 ? Math.min(100, (done / context.warmupNeeded) * 100) : 100;
+    return { done, needed: context.warmupNeeded, percent };
+  }
+
+  // Persist a candle that just closed (placeholder asset data and synthetic gap fills are not persisted)
+  function persistClosedCandle(asset, candle) {
+    if (!window.CandleStore || asset === DEFAULT_ASSET || !candle || candle.synthetic) return;
+    window.CandleStore.saveCandle(asset, candle).catch(err => {
+      console.warn('[Pocket Scout Dynamic Time] ⚠️ Failed to persist candle:', err);
+    });
+  }
+
+  // Save every context's forming candle so a reload can continue the same minute
+  function persistFormingCandles() {
+    if (!window.CandleStore) return;
+    for (const context of assetContexts.values()) {
+      if (context.asset === DEFAULT_ASSET) continue;
+      const latest = context.buffer.getLatest();
+      if (latest) {
+        window.CandleStore.saveCandle(context.asset, latest).catch(() => {});
       }
     }
-    
-    return null;
   }
 
-  // Push tick and build M1 candles
-  function pushTick(timestamp, price) {
-    if (!price || isNaN(price)) return;
-    
-    lastPrice = price;
-    
-    // Update UI status with price and candle info
-    updateStatusDisplay();
-    
+  /**
+   * Merge saved or imported history into an asset's buffer, then shorten its warmup to what is
+   * actually missing: the history's contiguous tail counts toward warmup, and a gap before live
+   * data only costs the missing minutes.
+   */
+  function applyHistory(context, history, label) {
+    // Continuity: count the contiguous run at the end of the history
+    let contiguous = 1;
+    for (let i = history.length - 1; i > 0; i--) {
+      if (history[i].t - history[i - 1].t !== 60000) break;
+      contiguous++;
+    }
+
+    // Gap between the history and the first live candle (or now)
+    const lastHistory = history[history.length - 1];
+    const live = context.buffer.getAll();
+    const firstLive = live.find(c => c.t >= lastHistory.t);
+    const resumeTime = firstLive ? firstLive.t : Math.floor(Date.now() / 60000) * 60000;
+    const gapMinutes = Math.max(0, Math.round((resumeTime - lastHistory.t) / 60000) - 1);
+
+    const needed = Math.min(WARMUP_CANDLES, Math.max(WARMUP_CANDLES - contiguous, gapMinutes));
+    context.buffer.merge(history);
+    if (!context.warmupComplete) {
+      context.warmupNeeded = Math.min(context.warmupNeeded, needed);
+    }
+    console.log(`[Pocket Scout Dynamic Time] 💾 ${label} ${history.length} candles for ${context.asset} (contiguous: ${contiguous}, gap: ${gapMinutes} min, warmup needed: ${context.warmupNeeded} min)`);
+
+    if (context.asset === activeAsset) {
+      ohlcM1 = circularBuffer.getAll();
+      refreshSeries();
+      checkWarmup();
+      updateUI(lastSignal ? [lastSignal] : []);
+    }
+    return { contiguous, gapMinutes, needed: context.warmupNeeded };
+  }
+
+  // Restore an asset's persisted candles once per session
+  function restoreContext(context) {
+    if (!window.CandleStore || context.restoreStarted || context.asset === DEFAULT_ASSET) return;
+    context.restoreStarted = true;
+    const asset = context.asset;
+
+    window.CandleStore.loadCandles(asset).then(restored => {
+      window.CandleStore.prune(asset).catch(() => {});
+      if (!restored.length) return;
+      applyHistory(context, restored, 'Restored');
+    }).catch(err => {
+      console.warn(`[Pocket Scout Dynamic Time] ⚠️ Candle restore failed for ${asset}:`, err);
+    });
+  }
+
+  /**
+   * Repair missing minutes before a new candle (tab throttled, feed dropped): short gaps get
+   * flat synthetic candles at the last close, longer gaps stay as breaks and cost a partial re-warmup
+   */
+  function repairGap(context, lastCandle, candleTime) {
+    const gapMinutes = Math.round((candleTime - lastCandle.t) / 60000) - 1;
+    if (gapMinutes <= 0) return;
+
+    if (gapMinutes <= GAP_FILL_MAX_MINUTES) {
+      for (let i = 1; i <= gapMinutes; i++) {
+        const c = lastCandle.c;
+        context.buffer.add({ t: lastCandle.t + i * 60000, o: c, h: c, l: c, c, synthetic: true });
+      }
+      console.log(`[Pocket Scout Dynamic Time] 🩹 Filled ${gapMinutes} min gap for ${context.asset} with synthetic candles`);
+      return;
+    }
+
+    const needed = Math.min(WARMUP_CANDLES, Math.max(GAP_LOOKBACK_CANDLES, gapMinutes));
+    context.freshCandles = 0;
+    context.warmupNeeded = needed;
+    context.warmupComplete = false;
+    console.warn(`[Pocket Scout Dynamic Time] ⚠️ ${gapMinutes} min gap for ${context.asset}, re-warming for ${needed} candles`);
+
+    if (context.asset === activeAsset) {
+      warmupComplete = false;
+      if (pendingSignalData) {
+        cancelPendingSignal();
+      }
+    }
+  }
+
+  /**
+   * Import M1 history from a CSV/JSON file into the file's asset (or the active one), persist it,
+   * shorten warmup like a restore and optionally warm the bandit on every bar of the file
+   */
+  async function importHistory(file, options = {}) {
+    const parsed = await window.CandleIO.readFile(file);
+    if (!parsed.candles.length) {
+      throw new Error(parsed.errors[0] || 'No valid candles in file');
+    }
+    if (parsed.errors.length) {
+      console.warn(`[Pocket Scout Dynamic Time] ⚠️ Import skipped ${parsed.skipped} rows:`, parsed.errors);
+    }
+
+    const asset = window.AssetTracker.normalizeAsset(parsed.asset) || activeAsset;
+    const context = getAssetContext(asset);
+    const summary = applyHistory(context, parsed.candles, 'Imported');
+
+    if (window.CandleStore && asset !== DEFAULT_ASSET) {
+      window.CandleStore.saveCandles(asset, parsed.candles)
+        .then(() => window.CandleStore.prune(asset))
+        .catch(err => console.warn('[Pocket Scout Dynamic Time] ⚠️ Failed to persist imported candles:', err));
+    }
+
+    let bandit = null;
+    if (options.fullHistoryBandit && window.RLIntegration && window.RLIntegration.warmupBanditFromHistory) {
+      bandit = await window.RLIntegration.warmupBanditFromHistory(parsed.candles, {
+        fullHistory: true,
+        onProgress: options.onProgress
+      });
+    }
+
+    const warmupLeft = context.warmupComplete ? 0 : Math.max(0, summary.needed - context.freshCandles);
+    return { asset, imported: parsed.candles.length, skipped: parsed.skipped, warmupLeft, bandit };
+  }
+
+  /**
+   * Export one dataset for a time range as a CSV/JSON download:
+   * candles (per asset and timeframe), ticks, logged signals with outcomes, or RL metrics
+   */
+  async function exportDataset({ dataset, asset, timeframe = 'M1', from = 0, to = Date.now(), format = 'csv' }) {
+    const IO = window.CandleIO;
+    const inRange = (t) => t >= from && t <= to;
+    const stamp = (t) => new Date(t).toISOString();
+    const rangeName = `${stamp(from).slice(0, 16)}_${stamp(to).slice(0, 16)}`.replace(/:/g, '');
+    const buffer = asset && window.CircularBuffer.hasInstance(asset) ? window.CircularBuffer.getInstance(asset) : null;
+
+    if (dataset === 'candles' || dataset === 'ticks') {
+      if (!buffer) throw new Error(`No data for ${asset}`);
+      const rows = dataset === 'candles'
+        ? (buffer.getSeries(timeframe) || []).filter(c => inRange(c.t))
+          .map(c => ({ time: stamp(c.t), t: c.t, o: c.o, h: c.h, l: c.l, c: c.c, ticks: c.n || 0, synthetic: c.synthetic ? 1 : 0 }))
+        : buffer.getTicks(from, to).map(tick => ({ time: stamp(tick.t), t: tick.t, price: tick.p }));
+      const name = dataset === 'candles' ? `${asset}_${timeframe}` : `${asset}_ticks`;
+      IO.exportData(`pocket-scout_${name}_${rangeName}`, rows, format, rows.length ? null : ['time', 't']);
+      return rows.length;
+    }
+
+    const signals = await window.SignalLog.getSignals({ from, to, asset: asset || null });
+
+    if (dataset === 'signals') {
+      const rows = format === 'json' ? signals : signals.map(s => ({
+        time: stamp(s.timestamp),
+        timestamp: s.timestamp,
+        asset: s.asset,
+        action: s.action,
+        groupId: s.groupId,
+        confidence: s.confidence,
+        price: s.price,
+        expiry: s.expiry,
+        timingScore: s.timingScore,
+        outcome: s.outcome,
+        expiryPrice: s.expiryPrice,
+        verifiedBy: s.verifiedBy,
+        regimeTrend: s.regime ? s.regime.trend : null,
+        regimeVolatility: s.regime ? s.regime.volatility : null,
+        m5: s.regime ? s.regime.m5 : null,
+        m15: s.regime ? s.regime.m15 : null,
+        regimeState: s.regime ? s.regime.hmmState : null,
+        regimePhase: s.regime ? s.regime.phase : null,
+        regimeChanges: (s.regimeChanges || []).join('; '),
+        riskLevel: s.risk ? s.risk.level : null,
+        patterns: (s.patterns || []).join('; '),
+        reasons: (s.reasons || []).join('; ')
+      }));
+      IO.exportData(`pocket-scout_signals_${asset || 'all'}_${rangeName}`, rows, format);
+      return rows.length;
+    }
+
+    if (dataset === 'rl') {
+      // Metric history comes from the outcomes in range; the snapshot is the current state
+      const history = signals.filter(s => s.rl).map(s => ({
+        time: stamp(s.verifiedAt || s.timestamp),
+        timestamp: s.verifiedAt || s.timestamp,
+        groupId: s.groupId,
+        outcome: s.outcome,
+        ...s.rl
+      }));
+      if (format === 'json') {
+        const groups = window.IndicatorGroups.getAllGroups();
+        IO.exportData(`pocket-scout_rl_${rangeName}`, {
+          exportedAt: stamp(Date.now()),
+          metrics: window.RLIntegration.getMetrics(),
+          banditWeights: Object.fromEntries(groups.map(g => [g.id, window.RLIntegration.getBanditWeight(g.id)])),
+          history
+        }, 'json');
+      } else {
+        IO.exportData(`pocket-scout_rl_${rangeName}`, history, 'csv', history.length ? null : ['time', 'timestamp', 'groupId', 'outcome', 'reward']);
+      }
+      return history.length;
+    }
+
+    throw new Error(`Unknown dataset: ${dataset}`);
+  }
+
+  // Store the raw tick and build M1 candles in the context's buffer; returns true when the tick opened a new candle.
+  // A heartbeat (unchanged price re-sent by the DOM adapter) only opens or extends the M1 candle: it is not
+  // a real tick, so it stays out of the tick store, the sub-minute candles and the tick count.
+  function appendTick(context, timestamp, price, heartbeat = false) {
+    const buffer = context.buffer;
+    const ticks = heartbeat ? 0 : 1;
+    if (!heartbeat) buffer.addTick(timestamp, price);
     const candleTime = Math.floor(timestamp / 60000) * 60000;
-    const lastCandle = circularBuffer.getLatest();
+    const lastCandle = buffer.getLatest();
     
     if (!lastCandle || lastCandle.t < candleTime) {
+      if (lastCandle) {
+        persistClosedCandle(context.asset, lastCandle);
+        repairGap(context, lastCandle, candleTime);
+      }
+
       // New candle
-      const newCandle = {
+      context.freshCandles++;
+      buffer.add({
         t: candleTime,
         o: price,
         h: price,
         l: price,
-        c: price
-      };
-      circularBuffer.add(newCandle);
-      ohlcM1 = circularBuffer.getAll();
-      refreshSeries();
-      
-      // Check warmup
-      if (!warmupComplete && ohlcM1.length >= WARMUP_CANDLES) {
-        warmupComplete = true;
-        console.log(`[Pocket Scout Dynamic Time] ✅ Warmup complete! ${ohlcM1.length} candles`);
-        if (window.RLIntegration && window.RLIntegration.warmupBanditFromHistory) {
-          window.RLIntegration.warmupBanditFromHistory(ohlcM1);
-        }
-        updateStatusDisplay();
-        updateUI([]);
-      } else {
-        updateStatusDisplay();
-      }
-    } else {
-      // Update last candle
-      circularBuffer.updateLast({
-        h: Math.max(lastCandle.h, price),
-        l: Math.min(lastCandle.l, price),
-        c: price
+        c: price,
+        n: ticks
       });
-      ohlcM1 = circularBuffer.getAll();
-      refreshSeries();
-      updateStatusDisplay();
+      return true;
     }
 
+    // Update last candle
+    buffer.updateLast({
+      h: Math.max(lastCandle.h, price),
+      l: Math.min(lastCandle.l, price),
+      c: price,
+      n: ticks
+    });
+    return false;
+  }
+
+  // Mark warmup complete for the active asset once it has enough candles
+  function checkWarmup() {
+    const context = getAssetContext(activeAsset);
+    if (warmupComplete || context.freshCandles < context.warmupNeeded) return false;
+
+    warmupComplete = true;
+    context.warmupComplete = true;
+    console.log(`[Pocket Scout Dynamic Time] ✅ Warmup complete for ${activeAsset}! ${ohlcM1.length} candles`);
+    if (window.RLIntegration && window.RLIntegration.warmupBanditFromHistory) {
+      window.RLIntegration.warmupBanditFromHistory(ohlcM1);
+    }
+    updateUI([]);
+    return true;
+  }
+
+  // Push tick and build M1 candles
+  function pushTick(timestamp, price, asset = null, heartbeat = false) {
+    if (!price || isNaN(price)) return;
+
+    // Ticks for another asset (page stream) keep that asset's candles fresh without touching the panel,
+    // but only for assets the user has opened. This holds while the active asset is still the placeholder too,
+    // so other pairs never mix into its candles.
+    if (asset && asset !== activeAsset) {
+      const context = assetContexts.get(asset);
+      if (!context) return;
+      context.lastPrice = price;
+      appendTick(context, timestamp, price, heartbeat);
+      return;
+    }
+    
+    lastPrice = price;
+    
+    const isNewCandle = appendTick(getAssetContext(activeAsset), timestamp, price, heartbeat);
+    ohlcM1 = circularBuffer.getAll(); // Shared rows, no copy
+    if (isNewCandle) {
+      refreshSeries(); // Column views only move when a candle opens
+      checkWarmup();
+      // Every M1 close feeds the regime detector, so transitions are tracked even while no window is open
+      if (window.MarketRegimeDetector) {
+        const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1, getHigherTimeframes());
+        lastRegime = regimeResult.regime || window.MarketRegimeDetector.getCurrentRegime();
+      }
+    }
+    
+    // Update UI status with price and candle info
+    updateStatusDisplay();
+
     // If we're warmed up and idle, start a timing window automatically
     if (warmupComplete && !signalLocked && !pendingSignalData) {
       const timingActive = window.SignalTimingController && window.SignalTimingController.isActive && window.SignalTimingController.isActive();
@@ -179,10 +494,142 @@
     }
   }
 
+  // Drop the least recently viewed background contexts beyond the cap; closed candles are already saved, so only the forming one is
+  function evictBackgroundContexts() {
+    const background = Array.from(assetContexts.values())
+      .filter(context => context.asset !== activeAsset && context.asset !== DEFAULT_ASSET)
+      .sort((a, b) => a.lastViewed - b.lastViewed);
+
+    for (const context of background.slice(0, Math.max(0, background.length - MAX_BACKGROUND_CONTEXTS))) {
+      const latest = context.buffer.getLatest();
+      if (window.CandleStore && latest && !latest.synthetic) {
+        window.CandleStore.saveCandle(context.asset, latest).catch(() => {});
+      }
+      assetContexts.delete(context.asset);
+      window.CircularBuffer.removeInstance(context.asset);
+      if (window.MarketRegimeDetector) window.MarketRegimeDetector.removeAsset(context.asset);
+      if (window.TickFilter) window.TickFilter.reset(context.asset);
+      console.log(`[Pocket Scout Dynamic Time] 🧹 Released background context for ${context.asset}${context.parkedSignal ? ' (parked signal dropped)' : ''}`);
+    }
+  }
+
+  // Park the active asset's signals: cancel an open timing window, hold a published signal until we return
+  function parkActiveSignal(context) {
+    if (pendingSignalData) {
+      console.log(`[Pocket Scout Dynamic Time] ⏹️ Asset switched, cancelling timing window for ${context.asset}`);
+      cancelPendingSignal();
+    }
+
+    if (lastSignal) {
+      const signalId = lastSignal.timestamp;
+      if (signalVerificationTimeouts.has(signalId)) {
+        clearTimeout(signalVerificationTimeouts.get(signalId));
+        signalVerificationTimeouts.delete(signalId);
+      }
+      context.parkedSignal = lastSignal;
+      console.log(`[Pocket Scout Dynamic Time] 🅿️ Parked ${lastSignal.action} signal for ${context.asset} until it is active again`);
+      lastSignal = null;
+      signalLocked = false;
+    }
+  }
+
+  // Resume a parked signal: keep waiting for expiry, verify it, or drop it if its expiry candle was missed
+  function resumeParkedSignal(context) {
+    const parked = context.parkedSignal;
+    if (!parked) return;
+    context.parkedSignal = null;
+
+    const expirySeconds = parked.expiry || (parked.minutes || 5) * 60;
+    const expiryTime = parked.timestamp + expirySeconds * 1000;
+    const remaining = expiryTime + 15000 - Date.now();
+
+    lastSignal = parked;
+    signalLocked = true;
+
+    if (remaining > 0) {
+      console.log(`[Pocket Scout Dynamic Time] ▶️ Resuming parked ${parked.action} signal for ${context.asset} (${Math.round(remaining / 1000)}s to verification)`);
+      scheduleVerification(parked, remaining);
+      return;
+    }
+
+    const latest = circularBuffer.getLatest();
+    const coversExpiry = latest && latest.t >= Math.floor(expiryTime / 60000) * 60000;
+    if (!coversExpiry || !autoVerifySignal(parked)) {
+      console.log(`[Pocket Scout Dynamic Time] 🗑️ Dropping parked signal for ${context.asset}: no price data at expiry`);
+      signalLocked = false;
+      lastSignal = null;
+    }
+  }
+
+  // Switch every per-asset piece of state to the given asset
+  function switchAsset(asset) {
+    if (!asset || asset === activeAsset) return;
+
+    const previous = activeAsset ? getAssetContext(activeAsset) : null;
+    if (previous && previous.asset === DEFAULT_ASSET && !assetContexts.has(asset)) {
+      // First real asset name: adopt the candles collected before it was known
+      assetContexts.delete(DEFAULT_ASSET);
+      previous.asset = asset;
+      assetContexts.set(asset, previous);
+      window.CircularBuffer.renameInstance(DEFAULT_ASSET, asset);
+      if (window.MarketRegimeDetector) {
+        window.MarketRegimeDetector.renameAsset(DEFAULT_ASSET, asset);
+      }
+      if (window.PriceSource) {
+        window.PriceSource.setActiveAsset(asset);
+      }
+      activeAsset = asset;
+      console.log(`[Pocket Scout Dynamic Time] 🏷️ Active asset identified: ${asset}`);
+      if (window.CandleStore) {
+        // Closed candles only, without gap fills (same rule as persistClosedCandle)
+        window.CandleStore.saveCandles(asset, circularBuffer.getAll().slice(0, -1).filter(c => !c.synthetic)).catch(() => {});
+      }
+      restoreContext(previous);
+      updateUI([]);
+      return;
+    }
+
+    if (previous) {
+      parkActiveSignal(previous);
+      previous.warmupComplete = warmupComplete;
+      previous.lastPrice = lastPrice;
+      previous.lastRegime = lastRegime;
+      previous.lastViewed = Date.now();
+      // DOM ticks are keyed to the active asset, so a late switch may have fed the new pair's prices
+      // into the old baseline; drop it rather than let them re-anchor it
+      if (window.TickFilter) window.TickFilter.reset(previous.asset);
+    }
+
+    const context = getAssetContext(asset);
+    activeAsset = asset;
+    circularBuffer = context.buffer;
+    ohlcM1 = circularBuffer.getAll();
+    refreshSeries();
+    warmupComplete = context.warmupComplete;
+    lastPrice = context.lastPrice;
+    lastRegime = context.lastRegime;
+    gateRejectStreak = 0;
+
+    if (window.MarketRegimeDetector) {
+      window.MarketRegimeDetector.setActiveAsset(asset);
+    }
+    if (window.PriceSource) {
+      window.PriceSource.setActiveAsset(asset);
+    }
+
+    console.log(`[Pocket Scout Dynamic Time] 🔀 Context switched to ${asset} (${ohlcM1.length} candles, warmup ${warmupComplete ? 'complete' : 'pending'})`);
+    checkWarmup();
+    resumeParkedSignal(context);
+    restoreContext(context);
+    evictBackgroundContexts();
+    updateUI(lastSignal ? [lastSignal] : []);
+  }
+
   // Prepare signal and start timing window (called after signal verification)
   function prepareSignalForTiming() {
     if (!warmupComplete) {
-      console.log(`[Pocket Scout Dynamic Time] ⏸️ Warmup in progress: ${ohlcM1.length}/${WARMUP_CANDLES} candles`);
+      const warmup = getWarmupProgress();
+      console.log(`[Pocket Scout Dynamic Time] ⏸️ Warmup in progress: ${warmup.done}/${warmup.needed} candles`);
       return;
     }
 
@@ -196,11 +643,23 @@
       return;
     }
 
+    const feedHealth = checkFeedHealth();
+    if (feedHealth && feedHealth.stale) {
+      console.log(`[Pocket Scout Dynamic Time] ⏸️ Feed stale, not starting timing window: ${feedHealth.staleReason}`);
+      return;
+    }
+
+    const gaps = getSeries().gaps;
+    if (gaps.breaks > 0) {
+      console.log(`[Pocket Scout Dynamic Time] ⏸️ Data hole in last ${GAP_LOOKBACK_CANDLES} candles (${gaps.missingCandles} min missing), waiting for contiguous data`);
+      return;
+    }
+
     console.log(`[Pocket Scout Dynamic Time] 🔄 Preparing signal for timing window`);
 
     // Update regime
     if (window.MarketRegimeDetector) {
-      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1);
+      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1, getHigherTimeframes());
       lastRegime = regimeResult.regime || window.MarketRegimeDetector.getCurrentRegime();
     }
 
@@ -237,11 +696,10 @@
       return { valid: false, reason: 'Insufficient data' };
     }
 
-    const { closes, highs, lows } = getSeries();
-    const TI = window.TechnicalIndicators;
+    const { closes, indicators } = getSeries();
 
     // 1. Check volatility filter
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+    const atr = indicators.atr(14);
     const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
     if (atr && avgPrice > 0) {
       const volatilityRatio = (atr / avgPrice) * 100;
@@ -251,7 +709,7 @@
     }
 
     // 2. Check trend strength (if ADX available)
-    const adx = TI.calculateADX(highs, lows, closes, 14);
+    const adx = indicators.adx(14);
     if (adx && adx.adx < 15) {
       // Very weak trend - might be choppy market
       // Allow but note it
@@ -284,7 +742,7 @@
     
     // Update regime for current evaluation
     if (window.MarketRegimeDetector) {
-      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1);
+      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1, getHigherTimeframes());
       lastRegime = regimeResult.regime || window.MarketRegimeDetector.getCurrentRegime();
     }
 
@@ -292,9 +750,8 @@
     const series = getSeries();
     const { closes } = series;
     if (pendingSignalData && pendingSignalData.action && pendingSignalData.action !== 'TBD' && closes.length >= 2) {
-      const TI = window.TechnicalIndicators;
-      const bb = TI.calculateBollingerBands(closes, 20, 2);
-      const ema21 = TI.calculateEMA(closes, 21);
+      const bb = series.indicators.bollinger(20, 2);
+      const ema21 = series.indicators.ema(21);
       const lastClose = closes[closes.length - 1];
       const biasAgainst = (action) => {
         if (!bb || !ema21) return false;
@@ -313,9 +770,9 @@
       }
     }
 
-    // Check if window expired first (even if not active, we need to publish)
-    if (window.SignalTimingController.hasExpired()) {
-      // At expiry, pick the best current direction (analysis-first approach)
+    // Publish at expiry (even if not active) or early when the last S15 close scored well;
+    // the best current direction is picked at publish time (analysis-first approach)
+    if (window.SignalTimingController.hasExpired() || window.SignalTimingController.shouldPublishNow()) {
       publishPendingSignal();
       return;
     }
@@ -329,13 +786,23 @@
     updateTimingStatus();
   }
 
-  // Get price at expiry time using candles
+  // Get price at expiry time: the last raw tick at expiry when we have one, otherwise M1 candles
   function getPriceAtExpiry(signal) {
     if (!signal || !signal.timestamp) return null;
     
     const entryTime = signal.timestamp;
     const expirySeconds = signal.expiry || (signal.minutes || 5) * 60;
     const expiryTime = entryTime + (expirySeconds * 1000); // Convert seconds to ms
+
+    // Tick-accurate price (exact for 30s/1min expiries that end mid-candle)
+    const tickBuffer = signal.asset ? getAssetContext(signal.asset).buffer : circularBuffer;
+    if (tickBuffer && Date.now() >= expiryTime) {
+      const tick = tickBuffer.getTickAt(expiryTime);
+      if (tick && expiryTime - tick.t <= EXPIRY_TICK_TOLERANCE_MS) {
+        return tick.p;
+      }
+    }
+
     const expiryCandleTime = Math.floor(expiryTime / 60000) * 60000; // Round to minute (start of candle)
     const expiryCandleEndTime = expiryCandleTime + 60000; // End of candle (1 minute later)
     
@@ -457,7 +924,7 @@
     if (outcome) {
       const timeSinceExpiry = (now - expiryTime) / 1000;
       console.log(`[Pocket Scout Dynamic Time] 🔍 Auto-verification: ${signal.action} | Entry: ${entryPrice.toFixed(5)} | Expiry: ${expiryPrice.toFixed(5)} | Change: ${direction}${Math.abs(priceChangePercent).toFixed(4)}% | Time: ${timeSinceExpiry.toFixed(1)}s | Outcome: ${outcome}`);
-      verifySignal(outcome);
+      verifySignal(outcome, { expiryPrice, source: 'auto' });
       return outcome;
     }
 
@@ -479,7 +946,7 @@
             feedSignal.timestamp === lastSignal.timestamp) {
           // Found result for current signal
           console.log(`[Pocket Scout Dynamic Time] 📥 Auto Trader result received: ${feedSignal.result}`);
-          verifySignal(feedSignal.result);
+          verifySignal(feedSignal.result, { source: 'autotrader' });
           return;
         }
       }
@@ -488,29 +955,18 @@
     }
   }
 
-  // Publish the pending signal
-  function publishPendingSignal() {
-    if (!pendingSignalData) return;
-
-    const series = getSeries();
-    const { closes, highs, lows, opens, candles } = series;
-
-    // Determine best action at publish time
+  // Best action for the current candles: the RL agent's group when it has a signal, otherwise the first
+  // group with one (in-phase groups first, others down-weighted). Null when no group signals.
+  function selectFinalSignal(series, regime) {
     let finalSignal = null;
-    let regimeAtPublish = lastRegime;
-
-    if (window.MarketRegimeDetector) {
-      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1);
-      regimeAtPublish = regimeResult.regime || window.MarketRegimeDetector.getCurrentRegime();
-    }
 
     if (window.RLIntegration && window.RLIntegration.getRecommendedAction) {
-      const recommendation = window.RLIntegration.getRecommendedAction(ohlcM1, regimeAtPublish);
+      const recommendation = window.RLIntegration.getRecommendedAction(ohlcM1, regime);
       const groups = window.IndicatorGroups.getAllGroups();
       const selectedGroup = groups[recommendation.actionIndex];
 
       if (selectedGroup && selectedGroup.analyze) {
-        const analysis = selectedGroup.analyze({ closes, highs, lows, opens, candles });
+        const analysis = selectedGroup.analyze(series);
         if (analysis && analysis.action) {
           finalSignal = {
             action: analysis.action,
@@ -524,16 +980,19 @@
       }
     }
 
-    // Fallback: scan all groups to find best current action
+    // Fallback: scan all groups to find best current action, in-phase groups first, others down-weighted
     if (!finalSignal) {
-      const groups = window.IndicatorGroups.getAllGroups();
+      const phase = regime && regime.phase ? regime.phase.label : null;
+      const IG = window.IndicatorGroups;
+      const groups = IG.getAllGroups().slice().sort((a, b) => IG.isInPhase(b, phase) - IG.isInPhase(a, phase));
       for (const group of groups) {
         if (!group.analyze) continue;
-        const analysis = group.analyze({ closes, highs, lows, opens, candles });
+        const analysis = group.analyze(series);
         if (analysis && analysis.action) {
+           const phaseWeight = IG.isInPhase(group, phase) ? 1 : IG.OUT_OF_PHASE_WEIGHT;
            finalSignal = {
              action: analysis.action,
-             confidence: analysis.confidence || 70,
+             confidence: Math.round((analysis.confidence || 70) * phaseWeight),
              groupId: group.id,
              groupName: group.name,
              reasons: analysis.reasons || [],
@@ -544,6 +1003,29 @@
       }
     }
 
+    return finalSignal;
+  }
+
+  // Publish the pending signal
+  function publishPendingSignal() {
+    if (!pendingSignalData) return;
+
+    const series = getSeries();
+    const { closes } = series;
+
+    // Determine best action at publish time
+    let regimeAtPublish = lastRegime;
+
+    if (window.MarketRegimeDetector) {
+      const regimeResult = window.MarketRegimeDetector.updateRegime(ohlcM1, getHigherTimeframes());
+      regimeAtPublish = regimeResult.regime || window.MarketRegimeDetector.getCurrentRegime();
+    }
+
+    // Early publish trades the candidate the S15 close scored; at expiry the direction is picked now
+    const controller = window.SignalTimingController;
+    const earlyEvaluation = controller && !controller.hasExpired() && controller.shouldPublishNow() ? controller.getLastEvaluation() : null;
+    const finalSignal = earlyEvaluation ? earlyEvaluation.candidate : selectFinalSignal(series, regimeAtPublish);
+
     if (!finalSignal) {
       console.warn('[Pocket Scout Dynamic Time] ⚠️ No valid action at publish time; canceling window');
       signalLocked = false;
@@ -551,6 +1033,14 @@
       return;
     }
 
+    // Show a divergence backing the action on the signal card (unless the group already lists it)
+    if (window.DivergenceDetector) {
+      const bias = finalSignal.action === 'BUY' ? 'BULLISH' : 'BEARISH';
+      const backing = window.DivergenceDetector.latest(series.candles)
+        .find(d => d.direction === bias && !finalSignal.reasons.includes(d.reason));
+      if (backing) finalSignal.reasons = finalSignal.reasons.concat(backing.reason);
+    }
+
     // Bandit weight adjustment to prioritize historically winning groups
     let banditWeight = 1;
     if (window.RLIntegration && window.RLIntegration.getBanditWeight) {
@@ -559,24 +1049,24 @@
     }
 
     // Soft-gated scoring: never block publishing; gate score adjusts confidence
-    const TI = window.TechnicalIndicators;
-    const adx = TI.calculateADX(highs, lows, closes, 14);
-    const macd = TI.calculateMACD(closes, 12, 26, 9);
-    const rsi = TI.calculateRSI(closes, 14);
-    const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
-    const bb = TI.calculateBollingerBands(closes, 20, 2);
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
-    const ema21 = TI.calculateEMA(closes, 21);
+    const { indicators } = series;
+    const adx = indicators.adx(14);
+    const macd = indicators.macd(12, 26, 9);
+    const rsi = indicators.rsi(14);
+    const stoch = indicators.stochastic(14, 3);
+    const bb = indicators.bollinger(20, 2);
+    const atr = indicators.atr(14);
+    const ema12 = indicators.ema(12);
+    const ema26 = indicators.ema(26);
+    const ema21 = indicators.ema(21);
 
     function passesHardGates(action, softMode = false) {
       const volLevel = (regimeAtPublish && regimeAtPublish.volatility && regimeAtPublish.volatility.level) || 'MEDIUM';
       const price = closes[closes.length - 1];
       const configByVol = {
-        LOW: { atrMin: 0.001, atrMax: 0.028, macdTol: 0.0006, rsiBuyMax: 75, rsiSellMin: 25, stochBuyMax: 90, stochSellMin: 10, emaTol: 0.00008 },
-        MEDIUM: { atrMin: 0.0015, atrMax: 0.03, macdTol: 0.0005, rsiBuyMax: 72, rsiSellMin: 28, stochBuyMax: 88, stochSellMin: 12, emaTol: 0.0001 },
-        HIGH: { atrMin: 0.0015, atrMax: 0.03, macdTol: 0.0004, rsiBuyMax: 70, rsiSellMin: 30, stochBuyMax: 85, stochSellMin: 15, emaTol: 0.00012 }
+        LOW: { atrMin: 0.001, atrMax: 0.028, macdTol: 0.0006, rsiBuyMax: 75, rsiSellMin: 25, stochBuyMax: 90, stochSellMin: 10, emaTol: 0.00008, levelAtr: 0.4 },
+        MEDIUM: { atrMin: 0.0015, atrMax: 0.03, macdTol: 0.0005, rsiBuyMax: 72, rsiSellMin: 28, stochBuyMax: 88, stochSellMin: 12, emaTol: 0.0001, levelAtr: 0.3 },
+        HIGH: { atrMin: 0.0015, atrMax: 0.03, macdTol: 0.0004, rsiBuyMax: 70, rsiSellMin: 30, stochBuyMax: 85, stochSellMin: 15, emaTol: 0.00012, levelAtr: 0.25 }
       };
       const cfg = configByVol[volLevel] || configByVol.MEDIUM;
       const softCfg = {
@@ -587,7 +1077,8 @@
         rsiSellMin: Math.max(20, cfg.rsiSellMin - 4),
         stochBuyMax: Math.min(95, cfg.stochBuyMax + 5),
         stochSellMin: Math.max(5, cfg.stochSellMin - 5),
-        emaTol: cfg.emaTol * 1.8
+        emaTol: cfg.emaTol * 1.8,
+        levelAtr: cfg.levelAtr * 0.5
       };
       const useCfg = softMode ? softCfg : cfg;
       const emaDiff = ema12 && ema26 ? ema12 - ema26 : null;
@@ -651,6 +1142,12 @@
         }
       }
 
+      // Price levels: no BUY pressed right under resistance, no SELL right on top of support
+      if (window.PriceLevels) {
+        const blocking = window.PriceLevels.nearLevel(series.candles, action === 'BUY' ? 'RESISTANCE' : 'SUPPORT', useCfg.levelAtr);
+        if (blocking) return false;
+      }
+
       // Regime-aware: avoid counter-trend in strong ADX
       if (adx && adx.adx !== null && adx.adx > 25) {
         const isUp = adx.plusDI > adx.minusDI;
@@ -658,6 +1155,12 @@
         if (action === 'SELL' && isUp) return false;
       }
 
+      // Higher-timeframe confirmation: strict mode rejects entries against M5 or M15, soft mode only when both disagree
+      const htf = (regimeAtPublish && regimeAtPublish.higherTimeframes) || {};
+      const against = action === 'BUY' ? 'BEARISH' : 'BULLISH';
+      const htfAgainst = ['M5', 'M15'].filter(tf => htf[tf] && htf[tf].ready && htf[tf].direction === against).length;
+      if (softMode ? htfAgainst >= 2 : htfAgainst >= 1) return false;
+
       return true;
     }
 
@@ -673,7 +1176,15 @@
     if (!gatePassed) {
       adjustedConfidence = Math.min(adjustedConfidence, 74); // keep sub-75 when alignment is soft
     }
-    // Elevate only when all alignment + advantage + learned weight agree
+    // Regime model: a likely regime change on the next bar trims confidence
+    const hmm = regimeAtPublish && regimeAtPublish.hmm && regimeAtPublish.hmm.ready ? regimeAtPublish.hmm : null;
+    const opposingRegime = hmm ? hmm.probabilities[finalSignal.action === 'BUY' ? 'BEAR_TREND' : 'BULL_TREND'] : 0;
+    if (hmm) {
+      adjustedConfidence = Math.max(40, Math.round(adjustedConfidence * (1 - Math.min(REGIME_CHANGE_MAX_PENALTY, hmm.transitionProbability))));
+    }
+    // Elevate only when all alignment + advantage + learned weight agree, in a settled regime not leaning against the trade
+    const canElevate = gatePassed && qAdv >= ELEVATE_MIN_Q_ADVANTAGE && banditWeight >= 1 &&
+      (!hmm || (hmm.confidence >= ELEVATE_MIN_REGIME_CONFIDENCE && opposingRegime < 0.5));
     if (canElevate) {
       const edgeBoost = Math.min(20, Math.round(qAdv * 25) + Math.round((banditWeight - 1) * 15));
       adjustedConfidence = Math.max(adjustedConfidence, Math.min(95, 72 + edgeBoost));
@@ -699,33 +1210,56 @@
       reasons: finalSignal.reasons,
       price: lastPrice || pendingSignalData.price,
       timestamp: Date.now(),
+      asset: activeAsset,
       // Store RL state and action for learning (protected from overwriting)
       _rlState: rlState ? [...rlState] : null,
       _rlAction: rlAction
     };
 
+    // Score the entry on closed S15 candles (forming candle excluded) while the window baseline is still set, then clean up
+    if (controller) {
+      signal.regimeChanges = controller.getRegimeChanges().map(formatRegimeChange);
+      signal.timingScore = controller.evaluateTimingQuality(ohlcM1, regimeAtPublish, signal, getEntryCandles());
+      signal.publishedEarly = !!earlyEvaluation;
+      controller.stopTimingWindow();
+    }
+
     lastSignal = signal;
     gateRejectStreak = 0;
     const expiryDisplay = signal.expiry ? `${signal.expiry}s` : `${signal.minutes || 5}min`;
-    console.log(`[Pocket Scout Dynamic Time] ✅ Signal published: ${signal.action} | ${signal.groupName} | Conf: ${signal.confidence}% | Entry: ${signal.price.toFixed(5)} | Expiry: ${expiryDisplay}`);
+    const timingDisplay = typeof signal.timingScore === 'number' ? ` | Timing: ${(signal.timingScore * 100).toFixed(0)}%${signal.publishedEarly ? ' (early)' : ''}` : '';
+    console.log(`[Pocket Scout Dynamic Time] ✅ Signal published: ${signal.action} | ${signal.groupName} | Conf: ${signal.confidence}% | Entry: ${signal.price.toFixed(5)} | Expiry: ${expiryDisplay}${timingDisplay}`);
     console.log(`[Pocket Scout Dynamic Time] ⏱️ Auto-verification scheduled for ${expiryDisplay} after entry`);
     
     updateUI([signal]);
     publishToAutoTrader([signal]);
-    
-    // Clean up timing window
-    if (window.SignalTimingController) {
-      window.SignalTimingController.stopTimingWindow();
+    if (window.SignalLog) {
+      window.SignalLog.record(signal, regimeAtPublish).catch(err => {
+        console.warn('[Pocket Scout Dynamic Time] ⚠️ Failed to log signal:', err);
+      });
     }
     
     pendingSignalData = null;
     // Keep signalLocked = true until outcome is verified
     
-    // Schedule automatic verification after expiry time
+    scheduleVerification(signal);
+    
+    // Also set up periodic checks for Auto Trader results
+    if (!lastFeedCheck) {
+      lastFeedCheck = setInterval(() => {
+        if (signalLocked && lastSignal) {
+          checkAutoTraderResults();
+        }
+      }, 5000); // Check every 5 seconds
+    }
+  }
+
+  // Schedule automatic verification after expiry time (delay defaults to expiry + settle time)
+  function scheduleVerification(signal, delayMs = null) {
     // Use expiry in seconds (from signal.expiry) or fallback to minutes
     const expirySeconds = signal.expiry || (signal.minutes || 5) * 60;
     const expiryMs = expirySeconds * 1000;
-    const verificationDelay = expiryMs + 15000; // Expiry + 15 seconds for price to settle and candle to close
+    const verificationDelay = delayMs !== null ? delayMs : expiryMs + 15000; // Expiry + 15 seconds for price to settle and candle to close
     
     // Clear any existing verification timeout for this signal
     const signalId = signal.timestamp;
@@ -779,15 +1313,6 @@
     }, verificationDelay);
     
     signalVerificationTimeouts.set(signalId, verificationTimeout);
-    
-    // Also set up periodic checks for Auto Trader results
-    if (!lastFeedCheck) {
-      lastFeedCheck = setInterval(() => {
-        if (signalLocked && lastSignal) {
-          checkAutoTraderResults();
-        }
-      }, 5000); // Check every 5 seconds
-    }
   }
 
   // Cancel pending signal
@@ -828,20 +1353,53 @@
   function updateStatusDisplay() {
     if (!UI.status) return;
     
-    const progress = Math.min(100, (ohlcM1.length / WARMUP_CANDLES) * 100);
-    const warmupStatus = warmupComplete ? '✅ Complete' : '🔥 In Progress';
+    const warmup = getWarmupProgress();
+    const progress = warmup.percent;
+    const warmupStatus = warmupComplete ? '✅ Complete' : `🔥 ${warmup.done}/${warmup.needed} min`;
     const warmupColor = warmupComplete ? '#10b981' : '#f59e0b';
     const risk = getRiskSummary();
     const pattern = getPatternSummary();
     const regimeDirection = lastRegime && lastRegime.trend ? lastRegime.trend.direction : 'NEUTRAL';
-    const riskText = risk ? `${(risk.ratio * 100).toFixed(2)}% (${risk.level})` : 'n/a';
+    const phase = lastRegime && lastRegime.phase ? lastRegime.phase : null;
+    const phaseText = phase ? ` · ${phase.label}` : '';
+    const htf = (lastRegime && lastRegime.higherTimeframes) || {};
+    const htfArrow = (tf) => !htf[tf] || !htf[tf].ready ? '·' : htf[tf].direction === 'BULLISH' ? '↑' : htf[tf].direction === 'BEARISH' ? '↓' : '→';
+    const htfText = `M5 ${htfArrow('M5')} M15 ${htfArrow('M15')}`;
+    const hmm = lastRegime && lastRegime.hmm && lastRegime.hmm.ready ? lastRegime.hmm : null;
+    const hmmTitle = hmm ? `HMM: ${hmm.state} ${(hmm.probabilities[hmm.state] * 100).toFixed(0)}% | ` +
+      `change next bar ${(hmm.transitionProbability * 100).toFixed(1)}% | ~${hmm.expectedDuration.toFixed(0)} bars expected, ${hmm.barsInState} so far` : 'HMM warming up';
+    const gaps = getSeries().gaps;
+    const gapText = gaps.hasHoles ? ` <span style="color:#f59e0b; font-size:10px;" title="Last ${GAP_LOOKBACK_CANDLES} candles">(${gaps.synthetic} filled, ${gaps.breaks} breaks)</span>` : '';
+    const riskText = risk ? `${(risk.ratio * 100).toFixed(2)}%${risk.percentile !== null ? ` · P${risk.percentile.toFixed(0)}` : ''} (${risk.level})` : 'n/a';
     const patternText = pattern && pattern.patterns && pattern.patterns.length ? pattern.patterns.join(', ') : 'None';
+    const chartPatterns = getChartPatternSummary();
+    const chartText = chartPatterns.length ? chartPatterns.slice(0, 2).map(p => p.label).join('<br>') : 'None';
+    const chartTitle = chartPatterns.map(p => `${p.label} | trigger ${p.breakoutLevel.toFixed(5)}` +
+      (p.invalidation !== null ? ` | invalidation ${p.invalidation.toFixed(5)}` : '')).join('\n');
+    const chartColor = chartPatterns.length && chartPatterns[0].state === 'CONFIRMED'
+      ? (chartPatterns[0].direction === 'BULLISH' ? '#10b981' : '#ef4444') : '#94a3b8';
+    const feed = window.PriceSource ? window.PriceSource.getHealth() : null;
+    const feedText = !feed ? 'n/a' : feed.stale ? `⚠️ STALE (${feed.staleReason})` : `${feed.adapter} · ${feed.ticksPerMinute} t/m`;
+    const feedColor = feed && !feed.stale ? '#10b981' : '#ef4444';
+    const filter = window.TickFilter ? window.TickFilter.getStats() : null;
+    const rejectedText = filter && filter.rejected > 0 ? ` · 🚫 ${filter.rejected}` : '';
+    const lastRejection = filter && filter.lastRejection ? ` | Last rejected: ${filter.lastRejection.price} (${filter.lastRejection.reason})` : '';
+    const filterTitle = filter ? ` | Rejected ticks: ${filter.rejected} (outlier ${filter.reasons.OUTLIER}, absurd ${filter.reasons.ABSURD}, invalid ${filter.reasons.INVALID}) | Seeding: ${filter.seeding} | Fast moves: ${filter.confirmedMoves}${lastRejection}` : '';
+    const feedTitle = feed ? `Selector: ${feed.selector || 'none'} | Last tick: ${feed.lastTickAge !== null ? (feed.lastTickAge / 1000).toFixed(1) + 's' : 'n/a'} | Parse failures: ${feed.parseFailures}${filterTitle}` : '';
     
     UI.status.innerHTML = `
+      <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:4px; font-size:11px;">
+        <span style="opacity:0.7;">Asset:</span>
+        <span style="font-weight:600; color:#e2e8f0;">${activeAsset && activeAsset !== DEFAULT_ASSET ? activeAsset : 'Detecting...'}</span>
+      </div>
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
         <span style="opacity:0.7;">Current Price:</span>
         <span style="font-weight:700; color:#fff; font-family:monospace; font-size:13px;">${lastPrice ? lastPrice.toFixed(5) : 'N/A'}</span>
       </div>
+      <div style="display:flex; justify-content:space-between; align-items:center; font-size:11px;" title="${feedTitle}">
+        <span style="opacity:0.7;">Feed:</span>
+        <span style="font-weight:600; color:${feedColor};">${feedText}${rejectedText}</span>
+      </div>
       <div style="padding-top:8px; border-top:1px solid #334155; margin-top:8px;">
         <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:6px;">
           <span style="opacity:0.7; font-size:11px;">Warmup:</span>
@@ -849,7 +1407,7 @@
         </div>
         <div style="display:flex; justify-content:space-between; align-items:center;">
           <span style="opacity:0.7; font-size:11px;">M1 Candles:</span>
-          <span style="font-weight:700; color:#60a5fa; font-size:12px; font-family:monospace;">${ohlcM1.length}/${WARMUP_CANDLES}</span>
+          <span style="font-weight:700; color:#60a5fa; font-size:12px; font-family:monospace;">${ohlcM1.length}${gapText}</span>
         </div>
         ${!warmupComplete ? `
           <div style="background:#1e293b; border-radius:6px; height:8px; overflow:hidden; margin-top:6px;">
@@ -860,14 +1418,19 @@
           <span style="opacity:0.7;">Volatility</span>
           <span style="font-weight:600; color:#facc15;">${riskText}</span>
         </div>
-        <div style="display:flex; justify-content:space-between; align-items:center; margin-top:4px; font-size:11px;">
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-top:4px; font-size:11px;" title="${hmmTitle}">
           <span style="opacity:0.7;">Regime</span>
-          <span style="font-weight:600; color:#a5b4fc;">${regimeDirection}</span>
+          <span style="font-weight:600; color:#a5b4fc;">${regimeDirection}${phaseText} <span style="opacity:0.7; font-weight:400;">(${htfText})</span></span>
         </div>
         <div style="display:flex; justify-content:space-between; align-items:center; margin-top:4px; font-size:11px;">
           <span style="opacity:0.7;">Pattern</span>
           <span style="font-weight:600; color:#34d399;">${patternText}</span>
         </div>
+        <div style="display:flex; justify-content:space-between; align-items:flex-start; margin-top:4px; font-size:11px;" title="${chartTitle}">
+          <span style="opacity:0.7;">Chart</span>
+          <span style="font-weight:600; color:${chartColor}; text-align:right;">${chartText}</span>
+        </div>
+        ${renderRegimeTimeline()}
       </div>
     `;
   }
@@ -881,12 +1444,13 @@
 
     // Update warmup status
     if (!warmupComplete) {
-      const progress = Math.min(100, (ohlcM1.length / WARMUP_CANDLES) * 100);
+      const warmup = getWarmupProgress();
+      const progress = warmup.percent;
       if (UI.signals) {
         UI.signals.innerHTML = `
           <div style="padding:20px; text-align:center;">
             <div style="font-size:16px; margin-bottom:10px;">🔥 Warmup in Progress</div>
-            <div style="font-size:14px; color:#60a5fa; margin-bottom:10px;">${ohlcM1.length}/${WARMUP_CANDLES} candles</div>
+            <div style="font-size:14px; color:#60a5fa; margin-bottom:10px;">${warmup.done}/${warmup.needed} candles</div>
             <div style="background:#1e293b; border-radius:8px; height:20px; overflow:hidden;">
               <div style="background:#3b82f6; height:100%; width:${progress}%; transition:width 0.3s;"></div>
             </div>
@@ -940,6 +1504,16 @@
           }
         }
         
+        if (feedStale) {
+          UI.signals.innerHTML = `
+            <div style="padding:20px; text-align:center;">
+              <div style="font-size:14px; color:#ef4444;">⚠️ Feed Stale</div>
+              <div style="font-size:11px; opacity:0.7; margin-top:6px;">Price feed stopped updating; timing windows paused.</div>
+            </div>
+          `;
+          return;
+        }
+
         UI.signals.innerHTML = `
           <div style="padding:20px; text-align:center; opacity:0.7;">
             <div style="font-size:14px;">🤖 AI Learning</div>
@@ -977,7 +1551,7 @@
           </div>
           
           <div style="font-size:10px; opacity:0.8; margin-bottom:8px; padding:8px; background:rgba(0,0,0,0.2); border-radius:6px;">
-            ${sig.reasons.slice(0, 3).map(r => `<div style="margin-bottom:3px;">✓ ${r}</div>`).join('')}
+            ${sig.reasons.slice(0, 4).map(r => `<div style="margin-bottom:3px;">✓ ${r}</div>`).join('')}
           </div>
           
           <div style="display:flex; align-items:center; gap:8px; margin-bottom:8px;">
@@ -1090,6 +1664,38 @@
         <div id="ps-signals"></div>
       </div>
       
+      <details id="ps-data" style="margin-bottom:12px; font-size:11px;">
+        <summary style="cursor:pointer; font-weight:600; color:#60a5fa;">🗂️ DATA</summary>
+        <div style="display:flex; align-items:center; justify-content:space-between; gap:8px; margin-top:8px;">
+          <button id="ps-import-btn" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:6px; padding:4px 10px; font-size:11px; cursor:pointer;">📥 Import history</button>
+          <label style="display:flex; align-items:center; gap:4px; opacity:0.8; cursor:pointer;">
+            <input type="checkbox" id="ps-import-bandit"> Warm bandit on whole file
+          </label>
+        </div>
+        <input type="file" id="ps-import-file" accept=".csv,.json,.txt" style="display:none;">
+        <div id="ps-import-status" style="margin-top:6px; opacity:0.8;"></div>
+        <div style="display:grid; grid-template-columns:1fr 1fr; gap:6px; margin-top:10px; padding-top:10px; border-top:1px solid #334155;">
+          <select id="ps-export-dataset" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:11px;">
+            <option value="candles">Candles</option>
+            <option value="ticks">Ticks</option>
+            <option value="signals">Signals + outcomes</option>
+            <option value="rl">RL metrics</option>
+          </select>
+          <select id="ps-export-asset" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:11px;"></select>
+          <select id="ps-export-timeframe" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:11px;">
+            ${Object.keys(window.CircularBuffer.TIMEFRAMES).map(tf => `<option value="${tf}"${tf === 'M1' ? ' selected' : ''}>${tf}</option>`).join('')}
+          </select>
+          <select id="ps-export-format" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:11px;">
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+          <input type="datetime-local" id="ps-export-from" title="From (empty = all)" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:10px;">
+          <input type="datetime-local" id="ps-export-to" title="To (empty = now)" style="background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:4px; font-size:10px;">
+        </div>
+        <button id="ps-export-btn" style="margin-top:6px; width:100%; background:#1e293b; color:#e2e8f0; border:1px solid #334155; border-radius:6px; padding:4px 10px; font-size:11px; cursor:pointer;">📤 Export</button>
+        <div id="ps-export-status" style="margin-top:6px; opacity:0.8;"></div>
+      </details>
+      
       <div style="font-size:9px; opacity:0.5; text-align:center; margin-top:12px; padding-top:12px; border-top:1px solid #334155;">
         AI Mode: RL Agent | Dynamic Timing: 1-5 min
       </div>
@@ -1103,10 +1709,60 @@
     UI.panel = panel;
     UI.status = document.getElementById('ps-status');
     UI.signals = document.getElementById('ps-signals');
+    UI.importStatus = document.getElementById('ps-import-status');
+
+    const fileInput = document.getElementById('ps-import-file');
+    document.getElementById('ps-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      UI.importStatus.textContent = `Importing ${file.name}...`;
+      importHistory(file, {
+        fullHistoryBandit: document.getElementById('ps-import-bandit').checked,
+        onProgress: (progress) => {
+          UI.importStatus.textContent = `Warming bandit on ${file.name}: ${(progress * 100).toFixed(0)}%`;
+        }
+      }).then(result => {
+        const banditText = result.bandit ? `, bandit warmed on ${result.bandit.bars} bars` : '';
+        UI.importStatus.textContent = `✅ ${result.imported} candles → ${result.asset} (skipped ${result.skipped}, warmup left ${result.warmupLeft} min${banditText})`;
+      }).catch(err => {
+        console.warn('[Pocket Scout Dynamic Time] ⚠️ Import failed:', err);
+        UI.importStatus.textContent = `❌ Import failed: ${err.message}`;
+      });
+    });
+
+    // Export: asset list is refreshed whenever the data section opens
+    const exportAsset = document.getElementById('ps-export-asset');
+    const exportStatus = document.getElementById('ps-export-status');
+    document.getElementById('ps-data').addEventListener('toggle', (event) => {
+      if (!event.target.open) return;
+      const assets = window.CircularBuffer.getAssets().filter(a => a !== DEFAULT_ASSET || activeAsset === DEFAULT_ASSET);
+      exportAsset.innerHTML = assets.map(a => `<option value="${a}"${a === activeAsset ? ' selected' : ''}>${a}</option>`).join('');
+    });
+    document.getElementById('ps-export-btn').addEventListener('click', () => {
+      const fromValue = document.getElementById('ps-export-from').value;
+      const toValue = document.getElementById('ps-export-to').value;
+      const options = {
+        dataset: document.getElementById('ps-export-dataset').value,
+        asset: exportAsset.value || activeAsset,
+        timeframe: document.getElementById('ps-export-timeframe').value,
+        format: document.getElementById('ps-export-format').value,
+        from: fromValue ? new Date(fromValue).getTime() : 0,
+        to: toValue ? new Date(toValue).getTime() : Date.now()
+      };
+      exportDataset(options).then(count => {
+        exportStatus.textContent = `✅ Exported ${count} ${options.dataset === 'rl' ? 'metric rows' : options.dataset}`;
+      }).catch(err => {
+        console.warn('[Pocket Scout Dynamic Time] ⚠️ Export failed:', err);
+        exportStatus.textContent = `❌ Export failed: ${err.message}`;
+      });
+    });
   }
 
-  // Verify signal outcome (called by Auto Trader or manually)
-  function verifySignal(outcome) {
+  // Verify signal outcome (called by Auto Trader or manually); details: { expiryPrice, source } for the signal log
+  function verifySignal(outcome, details = {}) {
     if (!lastSignal) {
       console.warn(`[Pocket Scout Dynamic Time] ⚠️ Cannot verify: no active signal`);
       return;
@@ -1156,6 +1812,20 @@
     
     console.log(`[Pocket Scout Dynamic Time] 📊 Signal verified: ${result} | Reward: ${reward.toFixed(2)} | Learning from experience`);
     
+    if (window.SignalLog) {
+      const rl = metricsBefore ? {
+        reward,
+        winRate: metricsBefore.winRate,
+        epsilon: metricsBefore.epsilon,
+        totalExperiences: metricsBefore.totalExperiences,
+        cumulativeReward: metricsBefore.cumulativeReward,
+        banditWeight: window.RLIntegration.getBanditWeight(signalToVerify.groupId)
+      } : { reward };
+      window.SignalLog.recordOutcome(signalToVerify, result, { ...details, rl }).catch(err => {
+        console.warn('[Pocket Scout Dynamic Time] ⚠️ Failed to log signal outcome:', err);
+      });
+    }
+    
     if (metricsBefore) {
       console.log(`[Pocket Scout Dynamic Time] 📈 Metrics: Win Rate: ${metricsBefore.winRate.toFixed(1)}% | Wins: ${metricsBefore.sessionWins} | Losses: ${metricsBefore.sessionLosses} | Streak: ${metricsBefore.currentStreak}`);
     }
@@ -1205,6 +1875,8 @@
           regime: lastRegime,
           risk: getRiskSummary(),
           patterns: getPatternSummary(),
+          feed: window.PriceSource ? window.PriceSource.getHealth() : null,
+          tickFilter: window.TickFilter ? window.TickFilter.getStats() : null,
           lastSignal
         });
       } else {
@@ -1214,7 +1886,7 @@
     }
     
     if (message.type === 'VERIFY_SIGNAL') {
-      verifySignal(message.outcome);
+      verifySignal(message.outcome, { source: 'manual' });
       sendResponse({ success: true });
       return true;
     }
@@ -1238,7 +1910,13 @@
     
     // Wait for dependencies
     const requiredDeps = [
+      'PriceSource',
+      'TickFilter',
+      'AssetTracker',
       'CircularBuffer',
+      'CandleStore',
+      'CandleIO',
+      'SignalLog',
       'TechnicalIndicators',
       'MarketRegimeDetector',
       'IndicatorGroups',
@@ -1266,28 +1944,53 @@
         // Inject panel
         injectPanel();
         
+        // Per-asset context: start on the detected asset and follow the user's asset switches
+        switchAsset(window.AssetTracker.detect() || DEFAULT_ASSET);
+        window.AssetTracker.start((asset) => switchAsset(asset));
+        
+        window.SignalLog.prune().catch(() => {});
+        
+        // Keep the forming candle on reload/close so the next session resumes the same minute
+        window.addEventListener('pagehide', persistFormingCandles);
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'hidden') persistFormingCandles();
+        });
+        
         // Set up timing controller callback
         if (window.SignalTimingController) {
-          window.SignalTimingController.setTimingCallback((event, signal) => {
-            if (event === 'EXPIRED') {
-              monitorTimingWindow(); // Will handle expiration logic
+          window.SignalTimingController.setEntryDataSource(() => {
+            if (!pendingSignalData) return null;
+            return {
+              ohlcData: ohlcM1,
+              regimeData: lastRegime,
+              entryCandles: getEntryCandles(),
+              candidate: selectFinalSignal(getSeries(), lastRegime)
+            };
+          });
+          window.SignalTimingController.setTimingCallback((event, signal, detail) => {
+            if (event === 'EXPIRED' || event === 'PUBLISH') {
+              monitorTimingWindow(); // Will handle expiration / early publish logic
+            } else if (event === 'REGIME_CHANGE') {
+              console.log(`[Pocket Scout Dynamic Time] 🔀 Regime change during timing window: ${formatRegimeChange(detail)}`);
+              updateUI([]);
             }
           });
         }
         
         console.log(`[Pocket Scout Dynamic Time] All dependencies loaded`);
         
-        // Start tick processing
-        setInterval(() => {
-          const price = readPriceFromDom();
-          if (price) {
-            pushTick(Date.now(), price);
-          }
-        }, 1000);
+        // Start tick processing (event-driven: every rate change arrives with its own timestamp)
+        // Bad parses and spikes are dropped by the tick filter before they can become candle wicks
+        // DOM ticks carry no asset: filter them against the active asset's baseline, not one shared default
+        window.PriceSource.start((tick) => {
+          if (!window.TickFilter.check(tick.asset ? tick : { ...tick, asset: activeAsset }).accepted) return;
+          pushTick(tick.timestamp, tick.price, tick.asset, tick.heartbeat);
+        });
         
         // Start timing window monitoring
         // More frequent checks when timing window is active (every 5s), less frequent otherwise (every 30s)
         timingMonitorInterval = setInterval(() => {
+          checkFeedHealth();
           if (!warmupComplete) return;
           
           if (pendingSignalData) {
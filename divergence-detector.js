@@ -0,0 +1,119 @@
+/**
+ * Pocket Scout Dynamic Time - Divergence Detector
+ * Compares swing pivots of price with RSI, MACD histogram and Stochastic %K to report regular and hidden divergences
+ */
+
+window.DivergenceDetector = (function() {
+  'use strict';
+
+  const TI = window.TechnicalIndicators;
+
+  const PIVOT_LEFT = 3;      // Bars before a swing high/low that it must exceed
+  const PIVOT_RIGHT = 3;     // Bars after it: a pivot is only confirmed this many bars later
+  const LOOKBACK = 120;      // Bars scanned for pivots
+  const MIN_SPAN = 5;        // Bars between the two compared pivots
+  const MAX_SPAN = 60;
+  const DEFAULT_MAX_AGE = 8; // Bars since the second pivot for a divergence to still be actionable
+
+  // Oscillators compared with price; scale = oscillator difference counted as full strength (null = relative)
+  const OSCILLATORS = [
+    { id: 'RSI', label: 'RSI', read: ind => ind.series('rsi', 14), scale: 10 },
+    { id: 'MACD', label: 'MACD', read: ind => ind.series('macd', 12, 26, 9).histogram, scale: null },
+    { id: 'STOCH', label: 'Stochastic', read: ind => ind.series('stochastic', 14, 3).k, scale: 20 }
+  ];
+
+  function describe(type, direction, oscillator, age) {
+    const when = age === 0 ? 'this bar' : age === 1 ? '1 bar ago' : `${age} bars ago`;
+    return `${type === 'REGULAR' ? 'Regular' : 'Hidden'} ${direction.toLowerCase()} ${oscillator.label} divergence (${when})`;
+  }
+
+  /**
+   * Compare the latest pivot with the most recent earlier one MIN_SPAN..MAX_SPAN bars before it.
+   * Lows: lower price low + higher oscillator low = regular bullish, the reverse = hidden bullish.
+   * Highs: higher price high + lower oscillator high = regular bearish, the reverse = hidden bearish.
+   */
+  function compareLatest(pivots, side, oscillator, values, lastIndex, atr) {
+    const last = pivots[pivots.length - 1];
+    if (!last) return null;
+    let prev = null;
+    for (let i = pivots.length - 2; i >= 0; i--) {
+      const span = last.index - pivots[i].index;
+      if (span > MAX_SPAN) break;
+      if (span >= MIN_SPAN) {
+        prev = pivots[i];
+        break;
+      }
+    }
+    if (!prev) return null;
+
+    const from = values[prev.index];
+    const to = values[last.index];
+    if (from === null || from === undefined || to === null || to === undefined) return null;
+    if (last.price === prev.price || to === from) return null;
+    const priceUp = last.price > prev.price;
+    const oscillatorUp = to > from;
+    if (priceUp === oscillatorUp) return null;
+
+    const type = (side === 'low') === oscillatorUp ? 'REGULAR' : 'HIDDEN';
+    const direction = side === 'low' ? 'BULLISH' : 'BEARISH';
+    const oscillatorMove = Math.abs(to - from) / (oscillator.scale || Math.max(Math.abs(from), Math.abs(to)));
+    const priceMove = atr ? Math.abs(last.price - prev.price) / atr : 0.5;
+    const age = lastIndex - last.index;
+
+    return {
+      type,
+      direction,
+      oscillator: oscillator.id,
+      strength: 0.6 * Math.min(1, oscillatorMove) + 0.4 * Math.min(1, priceMove),
+      age,
+      from: { index: prev.index, price: prev.price, value: from },
+      to: { index: last.index, price: last.price, value: to },
+      reason: describe(type, direction, oscillator, age)
+    };
+  }
+
+  /**
+   * Every current divergence (latest pivot pair per oscillator and side), strongest first.
+   * Each is { type: 'REGULAR'|'HIDDEN', direction: 'BULLISH'|'BEARISH', oscillator, strength 0-1,
+   * age (bars since the second pivot), from, to, reason }.
+   */
+  function detect(candles) {
+    if (!candles || candles.length < 50) return [];
+    return TI.memoFor(candles, 'divergences', findDivergences);
+  }
+
+  function findDivergences(candles) {
+    const ind = TI.indicatorsFor(candles);
+    const atr = ind.atr(14);
+    const lastIndex = candles.length - 1;
+    const pivots = TI.findPivots(candles, PIVOT_LEFT, PIVOT_RIGHT, Math.max(0, candles.length - LOOKBACK));
+
+    const divergences = [];
+    for (const oscillator of OSCILLATORS) {
+      const values = oscillator.read(ind);
+      const bullish = compareLatest(pivots.lows, 'low', oscillator, values, lastIndex, atr);
+      const bearish = compareLatest(pivots.highs, 'high', oscillator, values, lastIndex, atr);
+      if (bullish) divergences.push(bullish);
+      if (bearish) divergences.push(bearish);
+    }
+    divergences.sort((a, b) => b.strength - a.strength);
+    return divergences;
+  }
+
+  /**
+   * Divergences whose second pivot is at most maxAge bars old
+   */
+  function latest(candles, maxAge = DEFAULT_MAX_AGE) {
+    return detect(candles).filter(d => d.age <= maxAge);
+  }
+
+  return {
+    detect,
+    latest,
+    PIVOT_LEFT,
+    PIVOT_RIGHT,
+    DEFAULT_MAX_AGE
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Divergence Detector loaded');
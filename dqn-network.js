@@ -146,12 +146,14 @@ window.DQNNetwork = (function() {
       return this.onlineNetwork.predict(state);
     }
     
-    selectBestAction(state) {
+    // mask (optional): per-action booleans; only actions marked true are considered
+    selectBestAction(state, mask = null) {
       const qValues = this.getQValues(state);
-      let bestAction = 0;
-      let maxQ = qValues[0];
+      let bestAction = -1;
+      let maxQ = -Infinity;
       
-      for (let i = 1; i < qValues.length; i++) {
+      for (let i = 0; i < qValues.length; i++) {
+        if (mask && !mask[i]) continue;
         if (qValues[i] > maxQ) {
           maxQ = qValues[i];
           bestAction = i;
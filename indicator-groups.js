@@ -1,6 +1,12 @@
 /**
  * Pocket Scout Dynamic Time - Enhanced Indicator Groups
  * Optimized for OTC currency pair trading with volatility filtering
+ * analyze() receives M1 { closes, highs, lows, opens, candles }; live data also carries
+ * getSeries(timeframe) for S5/S15/S30 (built from ticks) and M5/M15/H1 candles.
+ * Indicator values come from TechnicalIndicators.indicatorsFor(candles), shared by every group per candle array;
+ * ind.series(name, ...args) gives aligned history for cross/slope checks (TI.crossesAbove, barsSince, slope).
+ * A group may declare `source: 'HEIKIN_ASHI' | 'RENKO'` to receive that SeriesTransforms series in place of the M1 candles,
+ * and `phases` (RANGING / TRENDING / BREAKOUT) it is valid in; out-of-phase groups are masked before the RL pick.
  */
 
 window.IndicatorGroups = (function() {
@@ -12,8 +18,8 @@ window.IndicatorGroups = (function() {
    * Helper: Check ATR volatility filter
    * Returns true if volatility is acceptable for OTC trading
    */
-  function checkATRFilter(highs, lows, closes, maxVolatilityRatio = 0.02) {
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+  function checkATRFilter(ind, closes, maxVolatilityRatio = 0.02) {
+    const atr = ind.atr(14);
     if (!atr) return true; // If ATR unavailable, allow signal
     
     const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
@@ -42,47 +48,138 @@ window.IndicatorGroups = (function() {
   }
 
   const GLOBAL_THRESHOLDS = window.PocketScoutThresholds || {};
-  const VOLATILITY_LOW_THRESHOLD = GLOBAL_THRESHOLDS.VOL_RISK_LOW || 0.002;
-  const VOLATILITY_ELEVATED_THRESHOLD = GLOBAL_THRESHOLDS.VOL_RISK_ELEVATED || 0.012;
-  const VOLATILITY_EXTREME_THRESHOLD = GLOBAL_THRESHOLDS.VOL_RISK_EXTREME || 0.02;
   const BB_SQUEEZE_THRESHOLD = GLOBAL_THRESHOLDS.BB_SQUEEZE_THRESHOLD || 0.02; // Narrow bands signal compression; tuned for fast OTC pairs
-  const VOLATILITY_MAX_PASS = GLOBAL_THRESHOLDS.VOL_RISK_CAP || 0.025;
+  const BB_SQUEEZE_PERCENTILE = GLOBAL_THRESHOLDS.BB_SQUEEZE_PERCENTILE || 20; // Bandwidth rank (vs the last 100 bars) counted as a squeeze
+  const MACD_CROSS_LOOKBACK = 3; // Bars a MACD signal-line cross stays actionable
+  const EMA_CROSS_LOOKBACK = 5;  // Bars an EMA9/EMA21 cross stays actionable
+  const ICHIMOKU_CROSS_LOOKBACK = 5; // Bars a tenkan/kijun cross stays actionable
+  const SUPERTREND_FLIP_LOOKBACK = 3; // Bars a SuperTrend flip stays actionable
+  const STOCH_RSI_CROSS_LOOKBACK = 2; // Bars a Stoch RSI K/D cross stays actionable
+  const STOCH_RSI_OVERSOLD = 20;
+  const STOCH_RSI_OVERBOUGHT = 80;
+  const DIVERGENCE_MAX_AGE = 5; // Bars since the second swing pivot for a divergence to count
+  const LEVEL_NEAR_ATR = 0.5; // A reversal within this many ATRs of support/resistance is at the level
+  const LEVEL_STRENGTH_BONUS = 0.6;
+  const PATTERN_MIN_SCORE = 0.4; // Context-weighted pattern score needed to trade a candlestick pattern
+  const CHART_PATTERN_TIMEFRAMES = ['M1', 'M5']; // Series scanned for chart-pattern breakouts
 
-  function getRiskSnapshot(highs, lows, closes) {
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const avgPrice = closes.length >= 20 ? closes.slice(-20).reduce((a, b) => a + b, 0) / 20 : null;
-    if (!atr || !avgPrice) {
-      return { level: 'UNKNOWN', ratio: 0, passes: true };
-    }
+  // Market phases (MarketRegimeDetector regime.phase.label) a group is valid in; groups without `phases` fit all
+  const MEAN_REVERSION = ['RANGING'];
+  const TREND_FOLLOWING = ['TRENDING', 'BREAKOUT'];
+  const SQUEEZE_BREAKOUT = ['RANGING', 'BREAKOUT'];
+  const NO_BREAKOUT = ['RANGING', 'TRENDING'];
+  const OUT_OF_PHASE_WEIGHT = 0.85; // Confidence multiplier for a group used outside its phases
 
-    const ratio = atr / avgPrice;
-    let level = 'BALANCED';
-    if (ratio < VOLATILITY_LOW_THRESHOLD) level = 'LOW';
-    else if (ratio > VOLATILITY_EXTREME_THRESHOLD) level = 'EXTREME';
-    else if (ratio > VOLATILITY_ELEVATED_THRESHOLD) level = 'HIGH';
+  // Strategies also offered on smoothed series: [group id, source]
+  const SOURCE_VARIANTS = [
+    ['TRIPLE_EMA', 'HEIKIN_ASHI'],
+    ['ATR_TREND', 'HEIKIN_ASHI'],
+    ['TRIPLE_EMA', 'RENKO'],
+    ['ATR_TREND', 'RENKO']
+  ];
+  const SOURCE_SUFFIXES = { HEIKIN_ASHI: 'HA', RENKO: 'RENKO' };
+  const SOURCE_NAMES = { HEIKIN_ASHI: 'Heikin-Ashi', RENKO: 'Renko' };
 
+  /**
+   * Helper: support (BUY) or resistance (SELL) level the reversal is happening at, or null
+   */
+  function getReversalLevel(candles, action) {
+    if (!window.PriceLevels) return null;
+    return window.PriceLevels.nearLevel(candles, action === 'BUY' ? 'SUPPORT' : 'RESISTANCE', LEVEL_NEAR_ATR);
+  }
+
+  // Volatility level and tradeable band from the asset's own ATR/price percentile (VolatilityModel)
+  function getRiskSnapshot(candles) {
+    const volatility = window.VolatilityModel ? window.VolatilityModel.classify(candles) : null;
+    if (!volatility) {
+      return { level: 'UNKNOWN', ratio: 0, percentile: null, passes: true };
+    }
     return {
-      level,
-      ratio,
-      passes: ratio >= VOLATILITY_LOW_THRESHOLD && ratio <= VOLATILITY_MAX_PASS
+      level: volatility.level,
+      ratio: volatility.ratio,
+      percentile: volatility.percentile,
+      passes: volatility.passes
     };
   }
 
+  function formatBarsAgo(bars) {
+    return bars === 0 ? 'this bar' : `${bars} bar${bars === 1 ? '' : 's'} ago`;
+  }
+
   function formatPatterns(patternInfo) {
     if (!patternInfo || !patternInfo.patterns || patternInfo.patterns.length === 0) return 'No pattern';
     return patternInfo.patterns.join(', ');
   }
 
+  const PATTERN_LOCATIONS = {
+    LOWER_BAND: 'at lower BB',
+    UPPER_BAND: 'at upper BB',
+    ABOVE_EMA: 'above EMA21',
+    BELOW_EMA: 'below EMA21'
+  };
+
+  function formatPatternContext(context) {
+    const trend = context && context.trend ? `${context.trend.toLowerCase()} trend` : 'no trend data';
+    const location = context && context.location ? PATTERN_LOCATIONS[context.location] : 'location n/a';
+    return `Context: ${trend}, ${location}`;
+  }
+
+  /**
+   * Helper: chart-pattern group trading confirmed breakouts of the given pattern types on M1 or M5
+   */
+  function chartPatternGroup(id, name, types, phases) {
+    return {
+      id,
+      name,
+      phases,
+      analyze: function(data) {
+        const { candles } = data;
+        if (!window.ChartPatterns) return null;
+        const risk = getRiskSnapshot(candles);
+
+        const breakouts = [];
+        for (const timeframe of CHART_PATTERN_TIMEFRAMES) {
+          const series = timeframe === 'M1' ? candles : data.getSeries ? data.getSeries(timeframe) : null;
+          if (!series) continue;
+          breakouts.push(...window.ChartPatterns.detect(series, timeframe)
+            .filter(p => p.state === 'CONFIRMED' && types.includes(p.type)));
+        }
+        if (breakouts.length === 0) return null;
+
+        // Strongest breakout leads; a breakout the other way on either timeframe cancels the signal
+        const best = breakouts.sort((a, b) => b.strength - a.strength)[0];
+        if (breakouts.some(p => p.direction !== best.direction)) return null;
+
+        const action = best.direction === 'BULLISH' ? 'BUY' : 'SELL';
+        const timeframes = new Set(breakouts.map(p => p.timeframe)).size;
+        const signalStrength = Math.min(1, best.strength + 0.15 * (timeframes - 1));
+
+        const confidence = calculateConfidence(76, signalStrength, risk.passes);
+        return {
+          action,
+          confidence,
+          reasons: [
+            best.label,
+            `Invalidation: ${best.invalidation.toFixed(5)}`,
+            `Target: ${best.target.toFixed(5)}`
+          ]
+        };
+      }
+    };
+  }
+
   const GROUPS = [
     // ===== ENHANCED EXISTING GROUPS =====
     {
       id: 'RSI_BB',
       name: 'RSI + Bollinger Bands',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const rsi = ind.rsi(14);
+        const bb = ind.bollinger(20, 2);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!rsi || !bb) return null;
         
@@ -114,13 +211,15 @@ window.IndicatorGroups = (function() {
     {
       id: 'MACD_EMA',
       name: 'MACD + EMA Crossover',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const macd = ind.macd(12, 26, 9);
+        const ema12 = ind.ema(12);
+        const ema26 = ind.ema(26);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!macd || !ema12 || !ema26) return null;
         
@@ -152,11 +251,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'RSI_OVERSOLD',
       name: 'RSI Oversold/Overbought + MACD',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const rsi = ind.rsi(14);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!rsi || !macd) return null;
         
@@ -173,6 +274,9 @@ window.IndicatorGroups = (function() {
         }
         
         if (!action) return null;
+
+        const level = getReversalLevel(candles, action);
+        if (level) signalStrength += LEVEL_STRENGTH_BONUS;
         
         const confidence = calculateConfidence(72, signalStrength / 2, atrFilter);
         return { 
@@ -180,7 +284,8 @@ window.IndicatorGroups = (function() {
           confidence, 
           reasons: [
             `RSI: ${rsi.toFixed(1)}`, 
-            'MACD confirmation'
+            'MACD confirmation',
+            ...(level ? [`At ${level.label}`] : [])
           ] 
         };
       }
@@ -188,11 +293,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'BB_BOUNCE',
       name: 'Bollinger Bands Bounce + RSI',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const rsi = TI.calculateRSI(closes, 14);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const bb = ind.bollinger(20, 2);
+        const rsi = ind.rsi(14);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!bb || !rsi) return null;
         
@@ -210,6 +317,9 @@ window.IndicatorGroups = (function() {
         }
         
         if (!action) return null;
+
+        const level = getReversalLevel(candles, action);
+        if (level) signalStrength += LEVEL_STRENGTH_BONUS;
         
         const confidence = calculateConfidence(74, signalStrength / 2, atrFilter);
         return { 
@@ -217,7 +327,8 @@ window.IndicatorGroups = (function() {
           confidence, 
           reasons: [
             'Price at BB extreme', 
-            `RSI: ${rsi.toFixed(1)}`
+            `RSI: ${rsi.toFixed(1)}`,
+            ...(level ? [`At ${level.label}`] : [])
           ] 
         };
       }
@@ -225,27 +336,41 @@ window.IndicatorGroups = (function() {
     {
       id: 'EMA_TREND',
       name: 'EMA Trend + Price Position',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const ema9 = TI.calculateEMA(closes, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
-        const ema50 = TI.calculateEMA(closes, 50);
-        const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
-        
-        if (!ema9 || !ema21) return null;
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const ema9 = ind.series('ema', 9);
+        const ema21 = ind.series('ema', 21);
+        const ema50 = ind.ema(50);
+        const last = closes.length - 1;
+        const price = closes[last];
+        const fast = ema9[last];
+        const slow = ema21[last];
+        const atrFilter = checkATRFilter(ind, closes);
+        
+        if (!fast || !slow) return null;
+
+        // A recent EMA9/EMA21 cross starts the trend; an old one is already priced in
+        const crosses = TI.crossSeries(ema9, ema21);
+        const crossBars = TI.barsSince(crosses, v => v !== 0);
+        if (crossBars === null || crossBars >= EMA_CROSS_LOOKBACK) return null;
+        const crossedUp = crosses[last - crossBars] === 1;
+        const slowSlope = TI.slope(ema21, 3);
         
         let action = null;
         let signalStrength = 0;
         
         // Enhanced: Check price position and multiple EMAs
-        if (ema9 > ema21 && price > ema9) {
+        if (crossedUp && fast > slow && price > fast) {
           if (ema50 && price > ema50) signalStrength = 0.8;
           else signalStrength = 0.5;
+          if (slowSlope > 0) signalStrength += 0.2;
           action = 'BUY';
-        } else if (ema9 < ema21 && price < ema9) {
+        } else if (!crossedUp && fast < slow && price < fast) {
           if (ema50 && price < ema50) signalStrength = 0.8;
           else signalStrength = 0.5;
+          if (slowSlope < 0) signalStrength += 0.2;
           action = 'SELL';
         }
         
@@ -256,8 +381,8 @@ window.IndicatorGroups = (function() {
           action, 
           confidence, 
           reasons: [
-            'EMA9 > EMA21', 
-            `Price above/below EMAs`,
+            `EMA9 crossed ${crossedUp ? 'above' : 'below'} EMA21 ${formatBarsAgo(crossBars)}`, 
+            `Price ${action === 'BUY' ? 'above' : 'below'} EMA9`,
             ema50 ? 'EMA50 aligned' : 'EMA50 N/A'
           ] 
         };
@@ -266,35 +391,44 @@ window.IndicatorGroups = (function() {
     {
       id: 'MACD_CROSS',
       name: 'MACD Signal Cross + Trend',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const macd = ind.series('macd', 12, 26, 9);
+        const ema21 = ind.ema(21);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const histogram = macd.histogram[macd.histogram.length - 1];
+        const atrFilter = checkATRFilter(ind, closes);
         
-        if (!macd || !ema21) return null;
+        if (histogram === null || !ema21) return null;
+
+        // Only fresh signal-line crosses that still hold
+        const crosses = TI.crossSeries(macd.macd, macd.signal);
+        const crossBars = TI.barsSince(crosses, v => v !== 0);
+        if (crossBars === null || crossBars >= MACD_CROSS_LOOKBACK) return null;
+        const crossedUp = crosses[crosses.length - 1 - crossBars] === 1;
         
         let action = null;
         let signalStrength = 0;
         
         // Enhanced: Require price above/below EMA for confirmation
-        if (macd.histogram > 0 && macd.macd > macd.signal && price > ema21) {
+        if (crossedUp && histogram > 0 && price > ema21) {
           action = 'BUY';
-          signalStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
-        } else if (macd.histogram < 0 && macd.macd < macd.signal && price < ema21) {
+        } else if (!crossedUp && histogram < 0 && price < ema21) {
           action = 'SELL';
-          signalStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
         }
         
         if (!action) return null;
+
+        signalStrength = Math.min(1, Math.abs(histogram) * 1000) + (MACD_CROSS_LOOKBACK - crossBars) / MACD_CROSS_LOOKBACK * 0.5;
         
         const confidence = calculateConfidence(73, signalStrength / 2, atrFilter);
         return { 
           action, 
           confidence, 
           reasons: [
-            'MACD cross bullish', 
+            `MACD crossed ${crossedUp ? 'above' : 'below'} signal ${formatBarsAgo(crossBars)}`, 
             `Price ${price > ema21 ? 'above' : 'below'} EMA21`
           ] 
         };
@@ -303,11 +437,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'RSI_MACD',
       name: 'RSI + MACD',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const rsi = ind.rsi(14);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!rsi || !macd) return null;
         
@@ -338,11 +474,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'BB_MACD',
       name: 'Bollinger + MACD',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const bb = ind.bollinger(20, 2);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!bb || !macd) return null;
         
@@ -373,13 +511,15 @@ window.IndicatorGroups = (function() {
     {
       id: 'TRIPLE_EMA',
       name: 'Triple EMA + Price',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const ema8 = TI.calculateEMA(closes, 8);
-        const ema13 = TI.calculateEMA(closes, 13);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const ema8 = ind.ema(8);
+        const ema13 = ind.ema(13);
+        const ema21 = ind.ema(21);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!ema8 || !ema13 || !ema21) return null;
         
@@ -411,12 +551,14 @@ window.IndicatorGroups = (function() {
     {
       id: 'RSI_BB_MACD',
       name: 'RSI + BB + MACD',
+      phases: NO_BREAKOUT,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const rsi = ind.rsi(14);
+        const bb = ind.bollinger(20, 2);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!rsi || !bb || !macd) return null;
         
@@ -457,11 +599,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'ATR_TREND',
       name: 'ATR Volatility + EMA Trend',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const atr = ind.atr(14);
+        const ema12 = ind.ema(12);
+        const ema26 = ind.ema(26);
         const price = closes[closes.length - 1];
         
         if (!atr || !ema12 || !ema26) return null;
@@ -501,11 +645,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'ADX_MACD',
       name: 'ADX Trend Strength + MACD',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const adx = ind.adx(14);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!adx || !macd) return null;
         
@@ -542,25 +688,27 @@ window.IndicatorGroups = (function() {
     },
     {
       id: 'STOCH_RSI',
-      name: 'Stochastic + RSI Dual Momentum',
+      name: 'Stochastic RSI K/D Cross',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
-        const rsi = TI.calculateRSI(closes, 14);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const stochRsi = ind.stochRsi(14, 14, 3, 3);
+        const lines = ind.series('stochRsi', 14, 14, 3, 3);
+        const atrFilter = checkATRFilter(ind, closes);
         
-        if (!stoch || !rsi) return null;
+        if (!stochRsi) return null;
         
         let action = null;
         let signalStrength = 0;
         
-        // Both indicators must agree
-        if (stoch.k < 30 && stoch.d < 30 && rsi < 40) {
+        // %K turning through %D inside the extreme zone, with RSI itself on the same side of 50
+        if (TI.crossesAbove(lines.k, lines.d, STOCH_RSI_CROSS_LOOKBACK) && stochRsi.d < STOCH_RSI_OVERSOLD && stochRsi.rsi < 50) {
           action = 'BUY';
-          signalStrength = ((30 - stoch.k) / 30 + (40 - rsi) / 40) / 2;
-        } else if (stoch.k > 70 && stoch.d > 70 && rsi > 60) {
+          signalStrength = (STOCH_RSI_OVERSOLD - stochRsi.d) / STOCH_RSI_OVERSOLD;
+        } else if (TI.crossesBelow(lines.k, lines.d, STOCH_RSI_CROSS_LOOKBACK) && stochRsi.d > STOCH_RSI_OVERBOUGHT && stochRsi.rsi > 50) {
           action = 'SELL';
-          signalStrength = ((stoch.k - 70) / 30 + (rsi - 60) / 40) / 2;
+          signalStrength = (stochRsi.d - STOCH_RSI_OVERBOUGHT) / (100 - STOCH_RSI_OVERBOUGHT);
         }
         
         if (!action) return null;
@@ -570,9 +718,9 @@ window.IndicatorGroups = (function() {
           action, 
           confidence, 
           reasons: [
-            `Stoch K: ${stoch.k.toFixed(1)}, D: ${stoch.d.toFixed(1)}`,
-            `RSI: ${rsi.toFixed(1)}`,
-            'Dual momentum confirmation'
+            `Stoch RSI K ${action === 'BUY' ? 'crossed above' : 'crossed below'} D (K: ${stochRsi.k.toFixed(1)}, D: ${stochRsi.d.toFixed(1)})`,
+            `RSI: ${stochRsi.rsi.toFixed(1)}`,
+            `Stoch RSI ${action === 'BUY' ? 'oversold' : 'overbought'}`
           ] 
         };
       }
@@ -580,11 +728,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'ATR_BB',
       name: 'ATR Volatility + Bollinger Bands',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const rsi = TI.calculateRSI(closes, 14);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const atr = ind.atr(14);
+        const bb = ind.bollinger(20, 2);
+        const rsi = ind.rsi(14);
         
         if (!atr || !bb || !rsi) return null;
         
@@ -623,13 +773,15 @@ window.IndicatorGroups = (function() {
     {
       id: 'ADX_EMA',
       name: 'ADX Strong Trend + EMA',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const adx = ind.adx(14);
+        const ema12 = ind.ema(12);
+        const ema26 = ind.ema(26);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!adx || !ema12 || !ema26) return null;
         
@@ -666,11 +818,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'CCI_MACD',
       name: 'CCI Cyclical + MACD',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const cci = TI.calculateCCI(highs, lows, closes, 20);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const cci = ind.cci(20);
+        const macd = ind.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!cci || !macd) return null;
         
@@ -703,11 +857,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'WILLIAMS_BB',
       name: 'Williams %R + Bollinger Bands',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const williamsR = TI.calculateWilliamsR(highs, lows, closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const williamsR = ind.williamsR(14);
+        const bb = ind.bollinger(20, 2);
+        const atrFilter = checkATRFilter(ind, closes);
         
         if (!williamsR || !bb) return null;
         
@@ -740,11 +896,13 @@ window.IndicatorGroups = (function() {
     {
       id: 'ATR_MACD_EMA',
       name: 'ATR + MACD + EMA Triple',
+      phases: TREND_FOLLOWING,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const atr = ind.atr(14);
+        const macd = ind.macd(12, 26, 9);
+        const ema21 = ind.ema(21);
         const price = closes[closes.length - 1];
         
         if (!atr || !macd || !ema21) return null;
@@ -795,24 +953,28 @@ window.IndicatorGroups = (function() {
     {
       id: 'PATTERN_ENGULFING_RSI',
       name: 'Candlestick Engulfing + RSI Filter',
+      phases: MEAN_REVERSION,
       analyze: function(data) {
-        const { closes, highs, lows, candles } = data;
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
         if (!candles || candles.length < 2) return null;
 
         const patternInfo = TI.detectCandlestickPatterns(candles);
-        const rsi = TI.calculateRSI(closes, 14);
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const risk = getRiskSnapshot(highs, lows, closes);
+        const rsi = ind.rsi(14);
+        const adx = ind.adx(14);
+        const risk = getRiskSnapshot(candles);
 
-        if (!patternInfo || !patternInfo.patterns.length || !rsi) return null;
+        if (!patternInfo || !patternInfo.bias || !rsi) return null;
+        // Scores already weigh each pattern against its prior trend and BB/EMA location
+        if (patternInfo.score < PATTERN_MIN_SCORE) return null;
 
         let action = null;
         let signalStrength = patternInfo.score;
 
-        if ((patternInfo.patterns.includes('BULLISH_ENGULFING') || patternInfo.patterns.includes('MORNING_STAR') || patternInfo.bias === 'BULLISH') && rsi < 60) {
+        if (patternInfo.bias === 'BULLISH' && rsi < 60) {
           action = 'BUY';
           signalStrength += (60 - rsi) / 60;
-        } else if ((patternInfo.patterns.includes('BEARISH_ENGULFING') || patternInfo.patterns.includes('EVENING_STAR') || patternInfo.bias === 'BEARISH') && rsi > 40) {
+        } else if (patternInfo.bias === 'BEARISH' && rsi > 40) {
           action = 'SELL';
           signalStrength += (rsi - 40) / 60;
         }
@@ -825,8 +987,9 @@ window.IndicatorGroups = (function() {
           confidence,
           reasons: [
             `Patterns: ${formatPatterns(patternInfo)}`,
+            formatPatternContext(patternInfo.context),
             `RSI: ${rsi.toFixed(1)}`,
-            `Volatility risk: ${risk.level}`
+            `Volatility risk: ${risk.level}${risk.percentile !== null ? ` (${risk.percentile.toFixed(0)}th percentile)` : ''}`
           ]
         };
       }
@@ -834,22 +997,29 @@ window.IndicatorGroups = (function() {
     {
       id: 'VOL_SQUEEZE_BREAKOUT',
       name: 'Volatility Squeeze + Momentum Bias',
+      phases: SQUEEZE_BREAKOUT,
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const risk = getRiskSnapshot(highs, lows, closes);
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const bb = ind.bollinger(20, 2);
+        const width = ind.bandwidth(20, 2, 100);
+        const keltner = ind.keltner(20, 2, 10);
+        const atr = ind.atr(14);
+        const macd = ind.macd(12, 26, 9);
+        const risk = getRiskSnapshot(candles);
         
         if (!bb || !atr || !macd) return null;
 
+        // Bands tight relative to this asset's own recent range; fixed threshold until 100 bars of bandwidth exist
         const bandwidth = (bb.upper - bb.lower) / (bb.middle || 1);
-        // Look for compressed bands with rising ATR = ready to break
-        const squeeze = bandwidth < BB_SQUEEZE_THRESHOLD;
+        const squeeze = width ? width.percentile <= BB_SQUEEZE_PERCENTILE : bandwidth < BB_SQUEEZE_THRESHOLD;
         if (!squeeze) return null;
 
         let action = null;
-        let signalStrength = Math.min(1, (BB_SQUEEZE_THRESHOLD - bandwidth) * 40);
+        let signalStrength = width ? (BB_SQUEEZE_PERCENTILE - width.percentile) / BB_SQUEEZE_PERCENTILE : Math.min(1, (BB_SQUEEZE_THRESHOLD - bandwidth) * 40);
+        // Bollinger inside Keltner: volatility compressed below its ATR envelope
+        const insideKeltner = Boolean(keltner && bb.upper < keltner.upper && bb.lower > keltner.lower);
+        if (insideKeltner) signalStrength += 0.3;
 
         if (macd.histogram > 0 && macd.macd > macd.signal) {
           action = 'BUY';
@@ -866,15 +1036,159 @@ window.IndicatorGroups = (function() {
           action,
           confidence,
           reasons: [
-            'Bollinger squeeze detected',
+            width ? `Bollinger squeeze (bandwidth ${width.percentile.toFixed(0)}th percentile)` : 'Bollinger squeeze detected',
+            ...(insideKeltner ? ['Bands inside Keltner channel'] : []),
             `ATR/price: ${(risk.ratio * 100).toFixed(2)}%`,
             `MACD momentum ${action === 'BUY' ? 'up' : 'down'}`
           ]
         };
       }
-    }
+    },
+    {
+      id: 'ICHIMOKU_TREND',
+      name: 'Ichimoku Cloud + TK Cross',
+      phases: TREND_FOLLOWING,
+      analyze: function(data) {
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const ichimoku = ind.ichimoku();
+        const lines = ind.series('ichimoku');
+        const risk = getRiskSnapshot(candles);
+
+        if (!ichimoku) return null;
+
+        // Fresh tenkan/kijun cross on the matching side of the cloud
+        let action = null;
+        let signalStrength = 0.5;
+        if (TI.crossesAbove(lines.tenkan, lines.kijun, ICHIMOKU_CROSS_LOOKBACK) && ichimoku.position === 'ABOVE' && ichimoku.tenkan > ichimoku.kijun) {
+          action = 'BUY';
+          if (ichimoku.leadA > ichimoku.leadB) signalStrength += 0.3;
+        } else if (TI.crossesBelow(lines.tenkan, lines.kijun, ICHIMOKU_CROSS_LOOKBACK) && ichimoku.position === 'BELOW' && ichimoku.tenkan < ichimoku.kijun) {
+          action = 'SELL';
+          if (ichimoku.leadA < ichimoku.leadB) signalStrength += 0.3;
+        }
+
+        if (!action) return null;
+
+        const confidence = calculateConfidence(74, signalStrength, risk.passes);
+        return {
+          action,
+          confidence,
+          reasons: [
+            `Tenkan crossed ${action === 'BUY' ? 'above' : 'below'} kijun`,
+            `Price ${ichimoku.position.toLowerCase()} the cloud`,
+            `Projected cloud ${ichimoku.leadA > ichimoku.leadB ? 'bullish' : 'bearish'}`
+          ]
+        };
+      }
+    },
+    {
+      id: 'SUPERTREND_PSAR',
+      name: 'SuperTrend Flip + Parabolic SAR',
+      phases: TREND_FOLLOWING,
+      analyze: function(data) {
+        const { closes, candles } = data;
+        const ind = TI.indicatorsFor(candles);
+        const supertrend = ind.series('supertrend', 10, 3);
+        const psar = ind.psar(0.02, 0.2);
+        const linreg = ind.linreg(20, 2);
+        const trend = supertrend.trend[closes.length - 1];
+        const risk = getRiskSnapshot(candles);
+
+        if (!trend || !psar || !linreg) return null;
+
+        const flipBars = TI.barsSince(supertrend.flipped);
+        if (flipBars === null || flipBars >= SUPERTREND_FLIP_LOOKBACK) return null;
+
+        let action = null;
+        if (trend === 'UP' && psar.trend === 'UP' && linreg.slope > 0) {
+          action = 'BUY';
+        } else if (trend === 'DOWN' && psar.trend === 'DOWN' && linreg.slope < 0) {
+          action = 'SELL';
+        }
+
+        if (!action) return null;
+
+        // A clean regression line means the flip starts an orderly move rather than chop
+        const signalStrength = 0.4 + linreg.r2 * 0.6;
+        const confidence = calculateConfidence(74, signalStrength, risk.passes);
+        return {
+          action,
+          confidence,
+          reasons: [
+            `SuperTrend flipped ${trend === 'UP' ? 'up' : 'down'} ${formatBarsAgo(flipBars)}`,
+            `PSAR ${psar.trend === 'UP' ? 'below' : 'above'} price`,
+            `LinReg R²: ${linreg.r2.toFixed(2)}`
+          ]
+        };
+      }
+    },
+    {
+      id: 'DIVERGENCE',
+      name: 'Price/Oscillator Divergence',
+      phases: NO_BREAKOUT,
+      analyze: function(data) {
+        const { closes, candles } = data;
+        if (!window.DivergenceDetector) return null;
+        const ind = TI.indicatorsFor(candles);
+        const divergences = window.DivergenceDetector.latest(candles, DIVERGENCE_MAX_AGE);
+        const trendSlope = TI.slope(ind.series('ema', 21), 5);
+        const risk = getRiskSnapshot(candles);
+
+        if (divergences.length === 0) return null;
+
+        // Regular divergences call reversals; hidden ones are continuation cues, so only with the EMA21 slope
+        const usable = divergences.filter(d => d.type === 'REGULAR' ||
+          (trendSlope !== null && (d.direction === 'BULLISH' ? trendSlope > 0 : trendSlope < 0)));
+        const bullish = usable.filter(d => d.direction === 'BULLISH');
+        const bearish = usable.filter(d => d.direction === 'BEARISH');
+        if ((bullish.length > 0) === (bearish.length > 0)) return null;
+
+        const action = bullish.length > 0 ? 'BUY' : 'SELL';
+        const agreeing = action === 'BUY' ? bullish : bearish;
+        // Several oscillators diverging together is the stronger cue
+        const oscillators = new Set(agreeing.map(d => d.oscillator)).size;
+        const signalStrength = Math.min(1, agreeing[0].strength + 0.15 * (oscillators - 1));
+
+        const confidence = calculateConfidence(75, signalStrength, risk.passes);
+        return {
+          action,
+          confidence,
+          reasons: agreeing.slice(0, 3).map(d => d.reason)
+        };
+      }
+    },
+
+    // ===== CHART PATTERNS =====
+    // Reversal patterns complete out of a range; continuation patterns out of a trend
+    chartPatternGroup('CHART_DOUBLE', 'Double Top/Bottom Breakout', ['DOUBLE_TOP', 'DOUBLE_BOTTOM'], SQUEEZE_BREAKOUT),
+    chartPatternGroup('CHART_HEAD_SHOULDERS', 'Head & Shoulders Breakout', ['HEAD_SHOULDERS', 'INVERSE_HEAD_SHOULDERS'], SQUEEZE_BREAKOUT),
+    chartPatternGroup('CHART_TRIANGLE', 'Triangle/Wedge Breakout',
+      ['ASCENDING_TRIANGLE', 'DESCENDING_TRIANGLE', 'SYMMETRICAL_TRIANGLE', 'RISING_WEDGE', 'FALLING_WEDGE'], TREND_FOLLOWING),
+    chartPatternGroup('CHART_FLAG', 'Bull/Bear Flag Breakout', ['BULL_FLAG', 'BEAR_FLAG'], TREND_FOLLOWING)
   ];
 
+  // ===== TRANSFORMED-SERIES VARIANTS =====
+  for (const [id, source] of SOURCE_VARIANTS) {
+    const base = GROUPS.find(group => group.id === id);
+    GROUPS.push({
+      ...base,
+      id: `${id}_${SOURCE_SUFFIXES[source]}`,
+      name: `${base.name} (${SOURCE_NAMES[source]})`,
+      source
+    });
+  }
+
+  // Groups with a source analyse the transformed series; callers keep passing the raw data
+  for (const group of GROUPS) {
+    if (!group.source || group.source === 'CANDLES') continue;
+    const analyzeSeries = group.analyze;
+    group.analyze = function(data) {
+      if (!window.SeriesTransforms) return null;
+      return analyzeSeries.call(this, window.SeriesTransforms.transform(data, group.source));
+    };
+  }
+
   function getAllGroups() {
     return GROUPS;
   }
@@ -887,10 +1201,27 @@ window.IndicatorGroups = (function() {
     return GROUPS.length;
   }
 
+  /**
+   * Whether a group is meant for the market phase (unknown phase or no declared phases = always)
+   */
+  function isInPhase(group, phase) {
+    return !phase || !group || !group.phases || group.phases.includes(phase);
+  }
+
+  /**
+   * Per-action mask for the phase: true where the group at that index is valid in it
+   */
+  function getPhaseMask(phase) {
+    return GROUPS.map(group => isInPhase(group, phase));
+  }
+
   return {
     getAllGroups,
     getGroup,
-    getGroupCount
+    getGroupCount,
+    isInPhase,
+    getPhaseMask,
+    OUT_OF_PHASE_WEIGHT
   };
 })();
 
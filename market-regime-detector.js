@@ -1,42 +1,298 @@
 /**
  * Pocket Scout Time - Market Regime Detector
- * Simplified version - Basic regime detection
+ * Threshold-based regime labels plus regime probabilities from an online HMM (RegimeHMM).
+ * Confirmed label changes are emitted to subscribers and kept in a per-asset timeline persisted in localStorage.
  */
 
 window.MarketRegimeDetector = (function() {
   'use strict';
 
+  // Active asset's state; other assets are parked in assetContexts
+  let activeAsset = 'default';
+  const assetContexts = new Map();
   let currentRegime = null;
   let regimeHistory = [];
   let stabilityScore = 50;
+  let hmm = null;
+  let lastTrendPhase = null; // TRENDING/RANGING before any BREAKOUT override, for hysteresis
+  let committedLabels = null; // Last confirmed label per dimension, the "from" side of the next transition
+  let pendingLabels = {};     // dimension -> { label, bars } awaiting confirmation
+  let lastTrackedT = null;    // Candle whose labels were last compared (transitions are tracked once per candle)
 
-  function detectRegime(ohlcData) {
+  const listeners = new Set();
+  let timelines = {}; // asset -> transition events, oldest first
+
+  const HTF_FAST_EMA = 9;
+  const HTF_SLOW_EMA = 21;
+  const GAP_LOOKBACK = 50; // Candles checked for data holes
+  const TREND_MIN_R2 = 0.25; // Below this linear fit a STRONG EMA trend is downgraded
+  const HMM_REPLAY_BARS = 500; // Closed candles replayed into a new regime model
+  const TIMELINE_KEY = 'PS_REGIME_TIMELINE';
+  const MAX_TIMELINE_EVENTS = 100; // Per asset
+  const TIMELINE_MAX_AGE_MS = 24 * 3600 * 1000;
+  const TRANSITION_CONFIRM_BARS = 3; // Candles a new label must hold on before it counts (forming-bar labels flicker)
+  // VolatilityModel levels on the regime's three-step scale
+  const VOLATILITY_LEVELS = { LOW: 'LOW', BALANCED: 'MEDIUM', HIGH: 'HIGH', EXTREME: 'HIGH' };
+
+  // Phase classification: each measure maps onto a 0-1 trend score between its ranging and trending values
+  const PHASE_ADX_RANGE = [15, 30];
+  const PHASE_CHOP_RANGE = [61.8, 38.2]; // Choppiness index: choppy above 61.8, trending below 38.2
+  const PHASE_ER_RANGE = [0.15, 0.5];    // Kaufman efficiency ratio over 10 bars
+  const PHASE_TRENDING_SCORE = 0.6;      // Score to switch to TRENDING; RANGING at 1 - this, hold in between
+  const BREAKOUT_MAX_AGE = 3;            // Bars a close beyond the prior 20-bar Donchian channel stays a breakout
+  const BREAKOUT_SQUEEZE_LOOKBACK = 12;  // The bands must have been squeezed within this many bars before it
+  const BREAKOUT_SQUEEZE_PERCENTILE = 20;
+  const BREAKOUT_MIN_CHOPPINESS = 55;    // ...or the market was this choppy on the bar before it
+  const BREAKOUT_MARGIN_ATR = 0.25;      // Close must clear the channel by this much (range edges get poked constantly)
+
+  /**
+   * Trend of a higher-timeframe series (EMA9 vs EMA21 with price confirmation)
+   * ready=false until the series has enough candles to mean anything
+   */
+  function detectTimeframeTrend(candles) {
+    if (!candles || candles.length < HTF_SLOW_EMA) {
+      return { direction: 'NEUTRAL', ready: false, candles: candles ? candles.length : 0 };
+    }
+
+    const ind = window.TechnicalIndicators.indicatorsFor(candles);
+    const fast = ind.ema(HTF_FAST_EMA);
+    const slow = ind.ema(HTF_SLOW_EMA);
+    const price = candles[candles.length - 1].c;
+
+    let direction = 'NEUTRAL';
+    if (fast > slow && price >= slow) direction = 'BULLISH';
+    else if (fast < slow && price <= slow) direction = 'BEARISH';
+
+    return { direction, ready: true, candles: candles.length };
+  }
+
+  function detectHigherTimeframes(higherTimeframes) {
+    const result = {};
+    if (!higherTimeframes) return result;
+    for (const timeframe of Object.keys(higherTimeframes)) {
+      result[timeframe] = detectTimeframeTrend(higherTimeframes[timeframe]);
+    }
+    return result;
+  }
+
+  // Labels tracked for transitions; null means not available yet (no event when it first appears)
+  const TRANSITION_DIMENSIONS = {
+    volatility: regime => regime.volatility.level,
+    trend: regime => regime.trend.direction,
+    phase: regime => regime.phase ? regime.phase.label : null,
+    hmm: regime => regime.hmm && regime.hmm.ready ? regime.hmm.state : null
+  };
+
+  function loadTimelines() {
+    try {
+      const raw = localStorage.getItem(TIMELINE_KEY);
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object') {
+          timelines = parsed;
+        }
+      }
+    } catch (e) {
+      console.warn('[MarketRegimeDetector] ⚠️ Failed to load regime timeline', e);
+    }
+  }
+
+  function saveTimelines() {
+    try {
+      localStorage.setItem(TIMELINE_KEY, JSON.stringify(timelines));
+    } catch (e) {
+      console.warn('[MarketRegimeDetector] ⚠️ Failed to save regime timeline', e);
+    }
+  }
+
+  function appendToTimeline(asset, events) {
+    const cutoff = Date.now() - TIMELINE_MAX_AGE_MS;
+    timelines[asset] = (timelines[asset] || [])
+      .concat(events)
+      .filter(event => event.candleTime >= cutoff)
+      .sort((a, b) => a.candleTime - b.candleTime)
+      .slice(-MAX_TIMELINE_EVENTS);
+    saveTimelines();
+  }
+
+  /**
+   * Compare the regime's labels with the confirmed ones on the first detection of each candle (content.js
+   * runs one as every M1 candle opens): a label held for TRANSITION_CONFIRM_BARS candles becomes a
+   * transition event { asset, dimension, from, to, candleTime, detectedAt, price }
+   */
+  function trackTransitions(regime, ohlcData) {
+    const last = ohlcData[ohlcData.length - 1];
+    if (last.t === lastTrackedT) return [];
+    lastTrackedT = last.t;
+
+    const labels = {};
+    for (const dimension of Object.keys(TRANSITION_DIMENSIONS)) {
+      labels[dimension] = TRANSITION_DIMENSIONS[dimension](regime);
+    }
+    if (!committedLabels) {
+      committedLabels = labels;
+      return [];
+    }
+
+    const events = [];
+    for (const dimension of Object.keys(labels)) {
+      const label = labels[dimension];
+      if (label === null || label === committedLabels[dimension]) {
+        delete pendingLabels[dimension];
+        continue;
+      }
+      if (committedLabels[dimension] === null) {
+        committedLabels[dimension] = label;
+        continue;
+      }
+
+      const pending = pendingLabels[dimension];
+      const bars = pending && pending.label === label ? pending.bars + 1 : 1;
+      if (bars < TRANSITION_CONFIRM_BARS) {
+        pendingLabels[dimension] = { label, bars };
+        continue;
+      }
+
+      delete pendingLabels[dimension];
+      events.push({
+        asset: activeAsset,
+        dimension,
+        from: committedLabels[dimension],
+        to: label,
+        candleTime: last.t,
+        detectedAt: Date.now(),
+        price: last.c
+      });
+      committedLabels[dimension] = label;
+    }
+
+    if (events.length > 0) {
+      appendToTimeline(activeAsset, events);
+      for (const event of events) {
+        for (const listener of listeners) {
+          try {
+            listener(event, regime);
+          } catch (e) {
+            console.warn('[MarketRegimeDetector] ⚠️ Regime listener failed', e);
+          }
+        }
+      }
+    }
+    return events;
+  }
+
+  // Index after the candle at time t, searching back from the end (-1 when it is not in the history)
+  function indexAfter(ohlcData, t) {
+    for (let i = ohlcData.length - 1; i >= 0; i--) {
+      if (ohlcData[i].t === t) return i + 1;
+      if (ohlcData[i].t < t) break;
+    }
+    return -1;
+  }
+
+  /**
+   * Feed the regime model the closed candles it has not seen; a new model (or replaced history)
+   * replays the last HMM_REPLAY_BARS. Returns the model snapshot or null.
+   */
+  function updateHmm(ohlcData) {
+    if (!window.RegimeHMM || !ohlcData || ohlcData.length < 2) return null;
+    const closedEnd = ohlcData.length - 1;
+    let start = hmm && hmm.getLastTime() !== null ? indexAfter(ohlcData, hmm.getLastTime()) : -1;
+    if (start === -1) {
+      hmm = window.RegimeHMM.create();
+      start = Math.max(0, closedEnd - HMM_REPLAY_BARS);
+    }
+    for (let i = start; i < closedEnd; i++) {
+      hmm.update(ohlcData[i]);
+    }
+    return hmm.snapshot();
+  }
+
+  function scaleBetween(value, [ranging, trending]) {
+    return Math.max(0, Math.min(1, (value - ranging) / (trending - ranging)));
+  }
+
+  // Close beyond the previous bar's 20-bar Donchian channel within BREAKOUT_MAX_AGE bars, out of a Bollinger
+  // squeeze or a choppy range (a new high inside a running trend is not a breakout)
+  function findBreakout(ind, ohlcData) {
+    const donchian = ind.series('donchian', 20);
+    const percentile = ind.series('bandwidth').percentile;
+    const choppiness = ind.series('choppiness', 14);
+    const margin = (ind.atr(14) || 0) * BREAKOUT_MARGIN_ATR;
+    const last = ohlcData.length - 1;
+    for (let age = 0; age < BREAKOUT_MAX_AGE && last - age >= 1; age++) {
+      const i = last - age;
+      const upper = donchian.upper[i - 1];
+      const lower = donchian.lower[i - 1];
+      if (upper === null || lower === null || upper === undefined || lower === undefined) continue;
+      const close = ohlcData[i].c;
+      const direction = close > upper + margin ? 'UP' : close < lower - margin ? 'DOWN' : null;
+      if (!direction) continue;
+      const squeezed = percentile.slice(Math.max(0, i - BREAKOUT_SQUEEZE_LOOKBACK), i)
+        .some(p => p !== null && p !== undefined && p <= BREAKOUT_SQUEEZE_PERCENTILE);
+      const choppy = choppiness[i - 1] !== null && choppiness[i - 1] >= BREAKOUT_MIN_CHOPPINESS;
+      if (squeezed || choppy) return { direction, barsAgo: age, level: direction === 'UP' ? upper : lower };
+    }
+    return null;
+  }
+
+  /**
+   * Market phase: TRENDING or RANGING from the averaged ADX / choppiness / efficiency-ratio trend score
+   * (holding the previous phase in the undecided band), overridden by BREAKOUT right after a squeeze breaks
+   */
+  function classifyPhase(ind, ohlcData) {
+    const adx = ind.adx(14);
+    const choppiness = ind.choppiness(14);
+    const efficiency = ind.efficiency(10);
+    const scores = [];
+    if (adx && adx.adx !== null) scores.push(scaleBetween(adx.adx, PHASE_ADX_RANGE));
+    if (choppiness !== null) scores.push(scaleBetween(choppiness, PHASE_CHOP_RANGE));
+    if (efficiency !== null) scores.push(scaleBetween(efficiency, PHASE_ER_RANGE));
+    if (scores.length === 0) return null;
+
+    const trendScore = scores.reduce((sum, v) => sum + v, 0) / scores.length;
+    if (trendScore >= PHASE_TRENDING_SCORE) lastTrendPhase = 'TRENDING';
+    else if (trendScore <= 1 - PHASE_TRENDING_SCORE) lastTrendPhase = 'RANGING';
+    else if (!lastTrendPhase) lastTrendPhase = trendScore >= 0.5 ? 'TRENDING' : 'RANGING';
+
+    const breakout = findBreakout(ind, ohlcData);
+    return {
+      label: breakout ? 'BREAKOUT' : lastTrendPhase,
+      trendScore,
+      adx: adx ? adx.adx : null,
+      choppiness,
+      efficiency,
+      breakout
+    };
+  }
+
+  /**
+   * higherTimeframes: optional { M5: candles, M15: candles } for multi-timeframe trend confirmation.
+   * regime.hmm carries the HMM regime probabilities; once it is ready, stability and uncertainty come from it.
+   */
+  function detectRegime(ohlcData, higherTimeframes = null) {
     if (!ohlcData || ohlcData.length < 50) {
       return {
         volatility: { level: 'MEDIUM' },
         trend: { direction: 'NEUTRAL', strength: 'MODERATE' },
-        momentum: { regime: 'NEUTRAL', rsi: 50 }
+        momentum: { regime: 'NEUTRAL', rsi: 50 },
+        higherTimeframes: detectHigherTimeframes(higherTimeframes),
+        dataQuality: window.TechnicalIndicators.analyzeGaps(ohlcData, GAP_LOOKBACK)
       };
     }
 
-    const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-
     const TI = window.TechnicalIndicators;
+    const ind = TI.indicatorsFor(ohlcData); // Same memoised values the groups and gates read
     
-    // Volatility
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const volatilityRatio = atr && avgPrice > 0 ? (atr / avgPrice) * 100 : 0.5;
-    
-    let volatilityLevel = 'MEDIUM';
-    if (volatilityRatio < 0.3) volatilityLevel = 'LOW';
-    else if (volatilityRatio > 0.7) volatilityLevel = 'HIGH';
+    // Volatility: ATR/price percentile against this asset's history (EXTREME folds into HIGH here)
+    const avgPrice = ohlcData.slice(-20).reduce((sum, c) => sum + c.c, 0) / 20;
+    const volatility = window.VolatilityModel ? window.VolatilityModel.classify(ohlcData) : null;
+    const volatilityRatio = volatility ? volatility.ratio * 100 : 0.5;
+    const volatilityLevel = volatility ? VOLATILITY_LEVELS[volatility.level] : 'MEDIUM';
 
     // Trend
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
+    const ema12 = ind.ema(12);
+    const ema26 = ind.ema(26);
     
     let trendDirection = 'NEUTRAL';
     let trendStrength = 'MODERATE';
@@ -50,8 +306,13 @@ window.MarketRegimeDetector = (function() {
       else if (diff < 0.0005) trendStrength = 'WEAK';
     }
 
+    // EMA separation without a clean linear fit is usually one spike, not an orderly trend
+    const linreg = ind.linreg(20, 2);
+    const supertrend = ind.supertrend(10, 3);
+    if (trendStrength === 'STRONG' && linreg && linreg.r2 < TREND_MIN_R2) trendStrength = 'MODERATE';
+
     // Momentum
-    const rsi = TI.calculateRSI(closes, 14);
+    const rsi = ind.rsi(14);
     let momentumRegime = 'NEUTRAL';
     if (rsi !== null) {
       if (rsi > 60) momentumRegime = 'BULLISH';
@@ -59,24 +320,44 @@ window.MarketRegimeDetector = (function() {
     }
 
     const regime = {
-      volatility: { level: volatilityLevel, ratio: volatilityRatio },
-      trend: { direction: trendDirection, strength: trendStrength },
-      momentum: { regime: momentumRegime, rsi: rsi || 50 }
-    };
+      volatility: {
+        level: volatilityLevel,
+        ratio: volatilityRatio,
+        percentile: volatility ? volatility.percentile : null,
+        extreme: !!volatility && volatility.level === 'EXTREME'
+      },
+      trend: {
+        direction: trendDirection,
+        strength: trendStrength,
+        slope: linreg ? linreg.slopePercent : null,
+        r2: linreg ? linreg.r2 : null,
+        supertrend: supertrend ? supertrend.trend : null
+      },
+      momentum: { regime: momentumRegime, rsi: rsi || 50 },
+      phase: classifyPhase(ind, ohlcData),
+      higherTimeframes: detectHigherTimeframes(higherTimeframes),
+      dataQuality: TI.analyzeGaps(ohlcData, GAP_LOOKBACK),
+      hmm: updateHmm(ohlcData)
+    };
 
     currentRegime = regime;
     regimeHistory.push({ timestamp: Date.now(), regime });
     if (regimeHistory.length > 100) regimeHistory.shift();
 
-    // Calculate stability
-    if (regimeHistory.length >= 10) {
+    // Stability: confidence in a persisting HMM regime, label agreement over the last 10 calls until the model is ready
+    if (regime.hmm && regime.hmm.ready) {
+      stabilityScore = regime.hmm.confidence * 100;
+    } else if (regimeHistory.length >= 10) {
       const recent = regimeHistory.slice(-10);
       const sameVol = recent.filter(r => r.regime.volatility.level === volatilityLevel).length;
       const sameTrend = recent.filter(r => r.regime.trend.direction === trendDirection).length;
       stabilityScore = ((sameVol + sameTrend) / 20) * 100;
     }
 
-    regime.uncertainty = { score: Math.max(0, 100 - stabilityScore) };
+    // Data holes make every indicator above less trustworthy: breaks weigh more than synthetic fills
+    const holePenalty = regime.dataQuality.breaks * 20 + regime.dataQuality.synthetic * 2;
+    regime.uncertainty = { score: Math.min(100, Math.max(0, 100 - stabilityScore) + holePenalty) };
+    regime.transitions = trackTransitions(regime, ohlcData);
 
     return regime;
   }
@@ -89,16 +370,86 @@ window.MarketRegimeDetector = (function() {
     return stabilityScore;
   }
 
-  function updateRegime(ohlcData) {
-    const regime = detectRegime(ohlcData);
+  function updateRegime(ohlcData, higherTimeframes = null) {
+    const regime = detectRegime(ohlcData, higherTimeframes);
     return { regime };
   }
 
+  /**
+   * listener(event, regime) is called for every confirmed transition of the active asset; returns an unsubscribe function
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Persisted transition events for an asset (active asset by default), newest last
+   */
+  function getTimeline(asset = activeAsset, limit = MAX_TIMELINE_EVENTS) {
+    return (timelines[asset] || []).slice(-limit);
+  }
+
+  /**
+   * Swap regime history, stability, the regime model, phase and transition state to another asset's context
+   */
+  function setActiveAsset(asset) {
+    if (!asset || asset === activeAsset) return;
+
+    assetContexts.set(activeAsset, { currentRegime, regimeHistory, stabilityScore, hmm, lastTrendPhase, committedLabels, pendingLabels, lastTrackedT });
+    const context = assetContexts.get(asset);
+    assetContexts.delete(asset);
+
+    activeAsset = asset;
+    currentRegime = context ? context.currentRegime : null;
+    regimeHistory = context ? context.regimeHistory : [];
+    stabilityScore = context ? context.stabilityScore : 50;
+    hmm = context ? context.hmm : null;
+    lastTrendPhase = context ? context.lastTrendPhase : null;
+    committedLabels = context ? context.committedLabels : null;
+    pendingLabels = context ? context.pendingLabels : {};
+    lastTrackedT = context ? context.lastTrackedT : null;
+  }
+
+  function renameAsset(fromAsset, toAsset) {
+    if (timelines[fromAsset]) {
+      const moved = timelines[fromAsset].map(event => ({ ...event, asset: toAsset }));
+      delete timelines[fromAsset];
+      appendToTimeline(toAsset, moved);
+    }
+    if (fromAsset === activeAsset) {
+      activeAsset = toAsset;
+    } else if (assetContexts.has(fromAsset)) {
+      assetContexts.set(toAsset, assetContexts.get(fromAsset));
+      assetContexts.delete(fromAsset);
+    }
+  }
+
+  /**
+   * Forget a background asset's parked regime state (its persisted timeline is kept)
+   */
+  function removeAsset(asset) {
+    if (asset !== activeAsset) assetContexts.delete(asset);
+  }
+
+  function getActiveAsset() {
+    return activeAsset;
+  }
+
+  loadTimelines();
+
   return {
     detectRegime,
+    detectTimeframeTrend,
     getCurrentRegime,
     getRegimeStability,
-    updateRegime
+    updateRegime,
+    setActiveAsset,
+    renameAsset,
+    removeAsset,
+    getActiveAsset,
+    subscribe,
+    getTimeline
   };
 })();
 
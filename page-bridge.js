@@ -0,0 +1,114 @@
+/**
+ * Pocket Scout Dynamic Time - Page Bridge
+ * Runs in the page context and forwards the chart's WebSocket rate stream to the content script
+ */
+
+(function() {
+  'use strict';
+
+  if (window.__pocketScoutBridge) return;
+  window.__pocketScoutBridge = true;
+
+  const SOURCE = 'PS_PAGE_BRIDGE';
+  const tracked = new WeakSet();
+  const decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('utf-8') : null;
+
+  function post(message) {
+    window.postMessage({ source: SOURCE, ...message }, '*');
+  }
+
+  const STREAM_EVENTS = ['updateStream']; // socket.io events whose payload is rate rows
+
+  // engine.io message (4) carrying a socket.io EVENT (2) or BINARY_EVENT (5): optional attachment
+  // count ("1-"), namespace ("/ns,") and ack id before the JSON array
+  const EVENT_PACKET = /^4([25])(?:\d+-)?(?:\/[^,[]*,)?\d*(\[[\s\S]*)$/;
+
+  function isRateRow(row) {
+    return Array.isArray(row) && row.length >= 3 && typeof row[0] === 'string' &&
+      typeof row[1] === 'number' && row[1] > 0 && typeof row[2] === 'number' && row[2] > 0;
+  }
+
+  /**
+   * Rows look like [["EURUSD_otc", 1712345678.123, 1.08345], ...] (or one bare row). The whole payload
+   * is dropped unless every row has that shape.
+   */
+  function postRows(payload) {
+    if (!Array.isArray(payload) || payload.length === 0) return;
+    const rows = Array.isArray(payload[0]) ? payload : [payload];
+    if (!rows.every(isRateRow)) return;
+    for (const [asset, time, price] of rows) {
+      const timestamp = time < 1e12 ? Math.round(time * 1000) : time;
+      post({ type: 'TICK', asset, timestamp, price });
+    }
+  }
+
+  function parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Only count frames that looked like rate updates
+      if (/_otc|updateStream/i.test(text)) {
+        post({ type: 'PARSE_FAILURE', reason: 'Malformed stream frame' });
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Text frames are socket.io packets such as 42["updateStream",[...]]: only stream events are read
+   * (a 451-["updateStream",{"_placeholder":true}] event sends its rows as the next binary frame).
+   * Frames without a packet prefix (binary attachments) must be rate rows themselves.
+   */
+  function handlePayload(text) {
+    if (!text) return;
+
+    if (/^\d/.test(text)) {
+      const match = EVENT_PACKET.exec(text);
+      if (!match) return; // open/ping/pong/connect and other non-event packets
+      const packet = parseJson(match[2]);
+      if (!Array.isArray(packet) || !STREAM_EVENTS.includes(packet[0])) return;
+      postRows(packet[1]);
+      return;
+    }
+
+    if (text[0] !== '[') return;
+    postRows(parseJson(text));
+  }
+
+  function onSocketMessage(event) {
+    const data = event.data;
+    if (typeof data === 'string') {
+      handlePayload(data);
+    } else if (data instanceof ArrayBuffer && decoder) {
+      handlePayload(decoder.decode(data));
+    } else if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      data.text().then(handlePayload).catch(() => {
+        post({ type: 'PARSE_FAILURE', reason: 'Unreadable binary frame' });
+      });
+    }
+  }
+
+  function track(socket) {
+    if (!socket || tracked.has(socket)) return;
+    tracked.add(socket);
+    socket.addEventListener('message', onSocketMessage);
+  }
+
+  // Sockets opened before injection are picked up on their next send (socket.io pings regularly)
+  const originalSend = WebSocket.prototype.send;
+  WebSocket.prototype.send = function(...args) {
+    track(this);
+    return originalSend.apply(this, args);
+  };
+
+  // Sockets opened after injection (reconnects) are tracked immediately
+  const OriginalWebSocket = window.WebSocket;
+  function TrackedWebSocket(...args) {
+    const socket = new OriginalWebSocket(...args);
+    track(socket);
+    return socket;
+  }
+  TrackedWebSocket.prototype = OriginalWebSocket.prototype;
+  Object.setPrototypeOf(TrackedWebSocket, OriginalWebSocket);
+  window.WebSocket = TrackedWebSocket;
+})();
@@ -22,9 +22,13 @@ function updateMetrics() {
         const regime = response.regime;
         const risk = response.risk;
         const patterns = response.patterns;
-        const riskText = risk && risk.ratio ? `${(risk.ratio * 100).toFixed(2)}% (${risk.level})` : 'n/a';
+        const riskText = risk && risk.ratio ? `${(risk.ratio * 100).toFixed(2)}%${risk.percentile != null ? ` · P${risk.percentile.toFixed(0)}` : ''} (${risk.level})` : 'n/a';
         const patternText = patterns && patterns.patterns && patterns.patterns.length ? patterns.patterns.join(', ') : 'None';
         const regimeText = regime && regime.trend ? regime.trend.direction : 'NEUTRAL';
+        const feed = response.feed;
+        const tickFilter = response.tickFilter;
+        const rejectedText = tickFilter && tickFilter.rejected > 0 ? ` · ${tickFilter.rejected} rejected` : '';
+        const feedText = (!feed ? 'n/a' : feed.stale ? `STALE (${feed.staleReason})` : `${feed.adapter} · ${feed.ticksPerMinute} t/m`) + rejectedText;
         metricsDiv.innerHTML = `
           <div class="metric">
             <div class="metric-label">Win Rate</div>
@@ -54,6 +58,10 @@ function updateMetrics() {
             <div class="metric-label">Regime</div>
             <div class="metric-value">${regimeText}</div>
           </div>
+          <div class="metric">
+            <div class="metric-label">Price Feed</div>
+            <div class="metric-value" style="font-size:11px;${feed && feed.stale ? ' color:#ef4444;' : ''}">${feedText}</div>
+          </div>
           <div class="metric">
             <div class="metric-label">Patterns</div>
             <div class="metric-value" style="font-size:11px;">${patternText}</div>
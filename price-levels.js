@@ -0,0 +1,234 @@
+/**
+ * Pocket Scout Dynamic Time - Price Levels
+ * Support/resistance from swing pivots, repeated touches, round numbers and the previous session's high/low,
+ * plus market structure (HH/HL/LH/LL swings and breaks of structure)
+ */
+
+window.PriceLevels = (function() {
+  'use strict';
+
+  const TI = window.TechnicalIndicators;
+
+  const LOOKBACK = 300;               // Bars scanned for pivots and touches
+  const PIVOT_SPAN = 5;               // Bars on each side of a swing used for levels and structure
+  const CLUSTER_ATR = 0.5;            // Candidates closer than this (x ATR) merge into one level
+  const MIN_TOLERANCE_RATIO = 0.0001; // Tolerance floor (x price) when ATR is tiny
+  const TOUCH_GAP = 3;                // Bars between touches for them to count separately
+  const MAX_ROUND_LEVELS = 8;         // Round numbers kept around price
+  const SESSION_MS = 24 * 3600 * 1000; // Sessions are UTC days (OTC quotes run around the clock)
+  const MIN_SESSION_CANDLES = 60;     // Previous session must be at least this covered to use its high/low
+  const MIN_STRENGTH = 0.3;           // Weaker levels are listed but not reported as support/resistance
+  const DEFAULT_NEAR_ATR = 0.5;
+
+  // "00" and "50" levels: a hundredth of the price's order of magnitude and its half
+  function roundCandidates(low, high, price) {
+    const step = Math.pow(10, Math.floor(Math.log10(price)) - 2) / 2;
+    const levels = [];
+    for (let level = Math.ceil(low / step) * step; level <= high; level += step) {
+      levels.push({ price: Number(level.toPrecision(10)), source: 'ROUND' });
+    }
+    return levels
+      .sort((a, b) => Math.abs(a.price - price) - Math.abs(b.price - price))
+      .slice(0, MAX_ROUND_LEVELS);
+  }
+
+  function sessionCandidates(candles) {
+    const last = candles[candles.length - 1];
+    const sessionStart = Math.floor(last.t / SESSION_MS) * SESSION_MS;
+    let high = -Infinity;
+    let low = Infinity;
+    let count = 0;
+    for (let i = candles.length - 1; i >= 0 && candles[i].t >= sessionStart - SESSION_MS; i--) {
+      if (candles[i].t >= sessionStart) continue;
+      high = Math.max(high, candles[i].h);
+      low = Math.min(low, candles[i].l);
+      count++;
+    }
+    if (count < MIN_SESSION_CANDLES) return [];
+    return [
+      { price: high, source: 'SESSION', note: 'prev session high' },
+      { price: low, source: 'SESSION', note: 'prev session low' }
+    ];
+  }
+
+  // Separate visits to the level: a wick or close within tolerance, bars passing straight through excluded
+  function countTouches(candles, from, price, tolerance) {
+    let touches = 0;
+    let lastTouch = -Infinity;
+    for (let i = from; i < candles.length; i++) {
+      const bar = candles[i];
+      const touched = Math.abs(bar.h - price) <= tolerance || Math.abs(bar.l - price) <= tolerance ||
+        Math.abs(bar.c - price) <= tolerance;
+      if (touched) {
+        if (i - lastTouch > TOUCH_GAP) touches++;
+        lastTouch = i;
+      }
+    }
+    return touches;
+  }
+
+  function describe(level) {
+    const parts = [`${level.touches} touch${level.touches === 1 ? '' : 'es'}`];
+    if (level.sources.includes('ROUND')) parts.push('round number');
+    parts.push(...level.notes);
+    return `${level.kind === 'SUPPORT' ? 'support' : 'resistance'} ${level.price.toFixed(5)} (${parts.join(', ')})`;
+  }
+
+  // Merge candidates within tolerance (sorted by price) into levels
+  function cluster(candidates, tolerance) {
+    const clusters = [];
+    for (const candidate of candidates.sort((a, b) => a.price - b.price)) {
+      const current = clusters[clusters.length - 1];
+      if (current && candidate.price - current[current.length - 1].price <= tolerance) {
+        current.push(candidate);
+      } else {
+        clusters.push([candidate]);
+      }
+    }
+    return clusters;
+  }
+
+  function buildLevel(members, candles, from, price, atr, tolerance) {
+    // Swing and session prices are where the market actually turned; a lone round number keeps its own price
+    const anchored = members.filter(m => m.source !== 'ROUND');
+    const basis = anchored.length ? anchored : members;
+    const levelPrice = basis.reduce((sum, m) => sum + m.price, 0) / basis.length;
+    const sources = Array.from(new Set(members.map(m => m.source)));
+    const pivots = members.filter(m => m.source === 'SWING').length;
+    const touches = countTouches(candles, from, levelPrice, tolerance);
+    // A single swing is just a swing: levels earn strength from repeated turns and visits
+    const strength = Math.min(1, 0.25 * Math.max(0, pivots - 1) + 0.08 * touches +
+      (sources.includes('ROUND') ? 0.15 : 0) + (sources.includes('SESSION') ? 0.3 : 0));
+
+    const level = {
+      price: levelPrice,
+      kind: levelPrice > price ? 'RESISTANCE' : 'SUPPORT',
+      sources,
+      pivots,
+      touches,
+      strength,
+      distance: Math.abs(levelPrice - price),
+      distanceAtr: atr ? Math.abs(levelPrice - price) / atr : null,
+      notes: members.filter(m => m.note).map(m => m.note)
+    };
+    level.label = describe(level);
+    return level;
+  }
+
+  function labelSwings(pivots, up, down) {
+    return pivots.map((pivot, i) => ({
+      ...pivot,
+      label: i === 0 ? null : pivot.price > pivots[i - 1].price ? up : down
+    }));
+  }
+
+  // First close beyond a swing after it formed
+  function findBreak(candles, swing, direction) {
+    if (!swing) return null;
+    for (let i = swing.index + 1; i < candles.length; i++) {
+      if (direction === 'UP' ? candles[i].c > swing.price : candles[i].c < swing.price) {
+        return { direction, level: swing.price, index: i };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Swing sequence over the lookback: trend BULLISH (HH + HL), BEARISH (LH + LL) or RANGE, and the most
+   * recent break of structure (close beyond the latest swing high/low); changeOfCharacter marks a break
+   * against the trend
+   */
+  function marketStructure(pivots, candles) {
+    const highs = labelSwings(pivots.highs, 'HH', 'LH');
+    const lows = labelSwings(pivots.lows, 'HL', 'LL');
+    const lastHigh = highs[highs.length - 1] || null;
+    const lastLow = lows[lows.length - 1] || null;
+
+    let trend = 'RANGE';
+    if (lastHigh && lastLow && lastHigh.label === 'HH' && lastLow.label === 'HL') trend = 'BULLISH';
+    else if (lastHigh && lastLow && lastHigh.label === 'LH' && lastLow.label === 'LL') trend = 'BEARISH';
+
+    const breaks = [findBreak(candles, lastHigh, 'UP'), findBreak(candles, lastLow, 'DOWN')].filter(Boolean);
+    const latestBreak = breaks.sort((a, b) => b.index - a.index)[0] || null;
+    const breakOfStructure = latestBreak ? {
+      ...latestBreak,
+      barsAgo: candles.length - 1 - latestBreak.index,
+      changeOfCharacter: (latestBreak.direction === 'UP' && trend === 'BEARISH') ||
+        (latestBreak.direction === 'DOWN' && trend === 'BULLISH')
+    } : null;
+
+    return { trend, highs: highs.slice(-4), lows: lows.slice(-4), lastHigh, lastLow, breakOfStructure };
+  }
+
+  /**
+   * Levels (ascending by price) and market structure for the candle array. Levels are { price, kind: 'SUPPORT'|'RESISTANCE' (relative to the last close), sources
+   * ('SWING'|'ROUND'|'SESSION'), pivots, touches, strength 0-1, distance, distanceAtr, label };
+   * support/resistance are the nearest levels of at least MIN_STRENGTH on each side.
+   */
+  function analyze(candles) {
+    if (!candles || candles.length < 50) return null;
+    return TI.memoFor(candles, 'levels', findLevels);
+  }
+
+  function findLevels(candles) {
+    const last = candles[candles.length - 1];
+    const price = last.c;
+    const atr = TI.indicatorsFor(candles).atr(14);
+    const tolerance = Math.max((atr || 0) * CLUSTER_ATR, price * MIN_TOLERANCE_RATIO);
+    const from = Math.max(0, candles.length - LOOKBACK);
+
+    const pivots = TI.findPivots(candles, PIVOT_SPAN, PIVOT_SPAN, from);
+    let low = Infinity;
+    let high = -Infinity;
+    for (let i = from; i < candles.length; i++) {
+      low = Math.min(low, candles[i].l);
+      high = Math.max(high, candles[i].h);
+    }
+    const candidates = [
+      ...pivots.highs.map(p => ({ price: p.price, source: 'SWING' })),
+      ...pivots.lows.map(p => ({ price: p.price, source: 'SWING' })),
+      ...roundCandidates(low, high, price),
+      ...sessionCandidates(candles)
+    ];
+
+    const levels = cluster(candidates, tolerance).map(members => buildLevel(members, candles, from, price, atr, tolerance));
+    const strong = levels.filter(level => level.strength >= MIN_STRENGTH);
+    const supports = strong.filter(level => level.kind === 'SUPPORT');
+    const analysis = {
+      price,
+      atr,
+      tolerance,
+      levels,
+      support: supports[supports.length - 1] || null,
+      resistance: strong.find(level => level.kind === 'RESISTANCE') || null,
+      structure: marketStructure(pivots, candles)
+    };
+
+    return analysis;
+  }
+
+  /**
+   * Nearest SUPPORT/RESISTANCE level within maxDistanceAtr ATRs of the last close, or null
+   */
+  function nearLevel(candles, kind, maxDistanceAtr = DEFAULT_NEAR_ATR) {
+    const analysis = analyze(candles);
+    if (!analysis) return null;
+    const level = kind === 'SUPPORT' ? analysis.support : analysis.resistance;
+    if (!level || level.distanceAtr === null) return null;
+    return level.distanceAtr <= maxDistanceAtr ? level : null;
+  }
+
+  function getStructure(candles) {
+    const analysis = analyze(candles);
+    return analysis ? analysis.structure : null;
+  }
+
+  return {
+    analyze,
+    nearLevel,
+    getStructure,
+    MIN_STRENGTH
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Price Levels loaded');
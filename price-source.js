@@ -0,0 +1,488 @@
+/**
+ * Pocket Scout Dynamic Time - Price Source
+ * Pluggable tick adapters (DOM selector, page script, replay) with feed health monitoring
+ */
+
+window.PriceSource = (function() {
+  'use strict';
+
+  // Fallback order: selectors are tried top to bottom, then the text regex scan
+  const SELECTORS = [
+    '.current-rate-value',             // New platform version
+    '.current-rate__value',            // Standard
+    '.chart-rate__value',              // Chart specific
+    '.rate-value',                     // Generic
+    '[data-role="current-rate"]',      // Data attribute
+    '.assets-table__cell--rate',       // Asset table
+    '.strike-rate__value',             // Strike price
+    'span.open-time-number',           // Legacy
+    '#price',                          // Fallback ID
+    '.current-price'                   // Fallback class
+  ];
+  const TEXT_FALLBACK = 'text-scan';
+  const PRICE_REGEX = /\b\d+\.\d{2,6}\b/;
+  const RESCAN_INTERVAL_MS = 5000; // Re-attach and heartbeat check (timers are throttled in background tabs)
+  const HEARTBEAT_MS = 5000; // Re-emit an unchanged price so quiet minutes still open candles
+
+  const BRIDGE_SOURCE = 'PS_PAGE_BRIDGE';
+  const BRIDGE_SCRIPT = 'lib/page-bridge.js';
+
+  const DEFAULT_ADAPTERS = ['pageScript', 'dom']; // Priority order
+  const PRIORITY_WINDOW_MS = 5000; // A higher-priority adapter owns the feed while it ticked this recently
+  const STALE_TICK_MS = 20 * 1000; // No tick at all for this long = stale
+  const STALE_CHANGE_MS = 90 * 1000; // Price frozen for this long = stale (OTC rates move every few seconds)
+  const RATE_WINDOW_MS = 60 * 1000;
+  const CLOCK_OFFSET_ALPHA = 0.05; // EW weight of each server-timestamped tick in the server-local clock offset
+
+  /**
+   * Strip formatting and parse a rate; null when the text holds no usable price
+   */
+  function parsePrice(text) {
+    if (!text) return null;
+    const cleaned = text.trim().replace(/[^0-9.]/g, '');
+    const price = parseFloat(cleaned);
+    return !isNaN(price) && price > 0 ? price : null;
+  }
+
+  // ===== ADAPTERS =====
+  // Adapter contract: { name, start(ctx), stop(), getSelector() }
+  // ctx.emit(price, meta) forwards a tick, ctx.reportFailure(reason) counts a parse failure,
+  // ctx.markActivity() records that the source is alive without a new price (e.g. a re-render with the same rate)
+
+  /**
+   * Watches the visible rate element with a MutationObserver (today's DOM scraping)
+   */
+  function createDomAdapter() {
+    let ctx = null;
+    let observer = null;
+    let observedElement = null;
+    let activeSelector = null;
+    let rescanIntervalId = null;
+    let lastPrice = null;
+    let lastEmitTime = 0;
+
+    function findRateElement() {
+      for (const selector of SELECTORS) {
+        const elements = document.querySelectorAll(selector);
+        for (const element of elements) {
+          // Check visibility
+          if (element.offsetParent === null) continue;
+
+          const price = parsePrice(element.textContent);
+          if (price !== null) {
+            return { element, selector, price };
+          }
+        }
+      }
+      return null;
+    }
+
+    function readTextFallback() {
+      const chartContainer = document.querySelector('.chart-container') || document.body;
+      if (!chartContainer) return null;
+
+      // Regex for price pattern like 1.23456 or 150.25
+      const matches = chartContainer.innerText.match(PRICE_REGEX);
+      return matches && matches.length > 0 ? parseFloat(matches[0]) : null;
+    }
+
+    function emit(price, force = false) {
+      if (!ctx) return;
+      if (price === null) {
+        ctx.reportFailure(`Unparsable rate from ${activeSelector}`);
+        return;
+      }
+      const isHeartbeat = price === lastPrice;
+      if (isHeartbeat && !force) return;
+
+      lastPrice = price;
+      lastEmitTime = Date.now();
+      ctx.emit(price, { selector: activeSelector, heartbeat: isHeartbeat });
+    }
+
+    function detach() {
+      if (observer) {
+        observer.disconnect();
+      }
+      observedElement = null;
+    }
+
+    function attach(match) {
+      detach();
+      observedElement = match.element;
+      activeSelector = match.selector;
+
+      if (!observer) {
+        observer = new MutationObserver(() => {
+          if (ctx) ctx.markActivity();
+          if (!observedElement || !observedElement.isConnected) {
+            // Element was replaced by a re-render; pick up the new one
+            rescan();
+            return;
+          }
+          emit(parsePrice(observedElement.textContent));
+        });
+      }
+
+      observer.observe(observedElement, { childList: true, characterData: true, subtree: true });
+      console.log(`[PriceSource] 👁️ Observing rate element: ${activeSelector}`);
+      emit(match.price);
+    }
+
+    function rescan() {
+      if (observedElement && observedElement.isConnected && observedElement.offsetParent !== null) {
+        // Heartbeat: keep minute buckets moving when the price is flat
+        if (Date.now() - lastEmitTime >= HEARTBEAT_MS) {
+          emit(parsePrice(observedElement.textContent), true);
+        }
+        return;
+      }
+
+      const match = findRateElement();
+      if (match) {
+        attach(match);
+        return;
+      }
+
+      detach();
+      if (activeSelector !== TEXT_FALLBACK) {
+        console.warn('[PriceSource] ⚠️ No rate element found, falling back to text scan');
+      }
+      activeSelector = TEXT_FALLBACK;
+      emit(readTextFallback(), Date.now() - lastEmitTime >= HEARTBEAT_MS);
+    }
+
+    return {
+      name: 'dom',
+      start(context) {
+        ctx = context;
+        rescan();
+        rescanIntervalId = setInterval(rescan, RESCAN_INTERVAL_MS);
+      },
+      stop() {
+        if (rescanIntervalId) {
+          clearInterval(rescanIntervalId);
+          rescanIntervalId = null;
+        }
+        detach();
+        ctx = null;
+        activeSelector = null;
+        lastPrice = null;
+        lastEmitTime = 0;
+      },
+      getSelector() {
+        return activeSelector;
+      }
+    };
+  }
+
+  /**
+   * Reads the rate stream the chart already receives, via the injected page bridge
+   */
+  function createPageScriptAdapter() {
+    let ctx = null;
+    let injected = false;
+
+    function inject() {
+      if (injected) return;
+      injected = true;
+      try {
+        const script = document.createElement('script');
+        script.src = chrome.runtime.getURL(BRIDGE_SCRIPT);
+        script.onload = () => script.remove();
+        (document.head || document.documentElement).appendChild(script);
+      } catch (e) {
+        console.warn('[PriceSource] ⚠️ Failed to inject page bridge', e);
+      }
+    }
+
+    function onMessage(event) {
+      if (!ctx || event.source !== window) return;
+      const data = event.data;
+      if (!data || data.source !== BRIDGE_SOURCE) return;
+
+      if (data.type === 'TICK') {
+        ctx.emit(data.price, { selector: 'websocket', asset: data.asset, timestamp: data.timestamp });
+      } else if (data.type === 'PARSE_FAILURE') {
+        ctx.reportFailure(data.reason || 'Unreadable stream frame');
+      }
+    }
+
+    return {
+      name: 'pageScript',
+      start(context) {
+        ctx = context;
+        window.addEventListener('message', onMessage);
+        inject();
+      },
+      stop() {
+        window.removeEventListener('message', onMessage);
+        ctx = null;
+      },
+      getSelector() {
+        return 'websocket';
+      }
+    };
+  }
+
+  /**
+   * Plays back recorded ticks ({ timestamp, price }) with their original timestamps
+   */
+  function createReplayAdapter(ticks, options = {}) {
+    const speed = options.speed || 1;
+    let ctx = null;
+    let timeoutId = null;
+    let index = 0;
+
+    function next() {
+      if (!ctx || index >= ticks.length) return;
+      const tick = ticks[index++];
+      ctx.emit(tick.price, { selector: 'replay', asset: tick.asset, timestamp: tick.timestamp });
+
+      if (index < ticks.length) {
+        const delay = Math.max(0, (ticks[index].timestamp - tick.timestamp) / speed);
+        timeoutId = setTimeout(next, delay);
+      } else {
+        console.log(`[PriceSource] Replay finished (${ticks.length} ticks)`);
+      }
+    }
+
+    return {
+      name: 'replay',
+      start(context) {
+        ctx = context;
+        index = 0;
+        next();
+      },
+      stop() {
+        if (timeoutId) {
+          clearTimeout(timeoutId);
+          timeoutId = null;
+        }
+        ctx = null;
+      },
+      getSelector() {
+        return 'replay';
+      }
+    };
+  }
+
+  const ADAPTER_FACTORIES = {
+    dom: createDomAdapter,
+    pageScript: createPageScriptAdapter
+  };
+
+  // ===== FEED MANAGER =====
+
+  let tickCallback = null;
+  let running = []; // [{ adapter, stats }] in priority order
+  let activeAsset = null; // Tagged ticks for other assets are forwarded but don't count toward health
+  let clockOffset = null; // Server time - local time, learned from ticks that carry a server timestamp
+
+  /**
+   * One clock for every adapter: server-timestamped ticks keep their time and update the offset,
+   * local ticks (DOM) are shifted onto the server clock so both can share candles and the tick store
+   */
+  function tickTime(meta, now) {
+    if (meta.timestamp) {
+      const offset = meta.timestamp - now;
+      clockOffset = clockOffset === null ? offset : clockOffset + CLOCK_OFFSET_ALPHA * (offset - clockOffset);
+      return meta.timestamp;
+    }
+    return clockOffset === null ? now : Math.round(now + clockOffset);
+  }
+
+  function createStats() {
+    return {
+      lastTickTime: null,
+      lastActivityTime: null, // Last tick or observed mutation: staleness is measured from here, not from timers
+      lastChangeTime: null,
+      lastPrice: null,
+      tickTimes: [],
+      parseFailures: 0,
+      lastFailure: null
+    };
+  }
+
+  function recordTick(stats, price, now) {
+    stats.lastTickTime = now;
+    stats.lastActivityTime = now;
+    if (price !== stats.lastPrice) {
+      stats.lastChangeTime = now;
+      stats.lastPrice = price;
+      stats.tickTimes.push(now);
+    }
+    while (stats.tickTimes.length && now - stats.tickTimes[0] > RATE_WINDOW_MS) {
+      stats.tickTimes.shift();
+    }
+  }
+
+  function ownsFeed(entry, now) {
+    // Only forward ticks from the highest-priority adapter that is currently delivering
+    for (const other of running) {
+      if (other === entry) return true;
+      if (other.stats.lastTickTime && now - other.stats.lastTickTime < PRIORITY_WINDOW_MS) return false;
+    }
+    return false;
+  }
+
+  function createContext(entry) {
+    return {
+      emit(price, meta = {}) {
+        if (typeof price !== 'number' || isNaN(price) || price <= 0) {
+          this.reportFailure('Non-numeric price');
+          return;
+        }
+        const now = Date.now();
+        const timestamp = tickTime(meta, now);
+        const forActiveAsset = !meta.asset || !activeAsset || meta.asset === activeAsset;
+        if (forActiveAsset) {
+          recordTick(entry.stats, price, now);
+        }
+        if (!tickCallback || (forActiveAsset && !ownsFeed(entry, now))) return;
+
+        tickCallback({
+          timestamp,
+          price,
+          selector: meta.selector || entry.adapter.getSelector(),
+          adapter: entry.adapter.name,
+          asset: meta.asset || null,
+          heartbeat: !!meta.heartbeat
+        });
+      },
+      reportFailure(reason) {
+        entry.stats.parseFailures++;
+        entry.stats.lastFailure = reason;
+      },
+      markActivity() {
+        entry.stats.lastActivityTime = Date.now();
+      }
+    };
+  }
+
+  function resolveAdapter(spec) {
+    if (typeof spec === 'string') {
+      const factory = ADAPTER_FACTORIES[spec];
+      if (!factory) {
+        console.warn(`[PriceSource] ⚠️ Unknown adapter: ${spec}`);
+        return null;
+      }
+      return factory();
+    }
+    return spec && typeof spec.start === 'function' ? spec : null;
+  }
+
+  /**
+   * Start emitting ticks: callback receives { timestamp, price, selector, adapter, asset, heartbeat }
+   * adapters: names or adapter objects, highest priority first
+   */
+  function start(callback, adapters = DEFAULT_ADAPTERS) {
+    if (typeof callback !== 'function') {
+      console.error('[PriceSource] Callback must be a function');
+      return;
+    }
+
+    stop();
+    tickCallback = callback;
+    running = adapters.map(resolveAdapter).filter(Boolean).map(adapter => ({ adapter, stats: createStats() }));
+
+    for (const entry of running) {
+      entry.adapter.start(createContext(entry));
+    }
+    console.log(`[PriceSource] Started adapters: ${running.map(e => e.adapter.name).join(' > ')}`);
+  }
+
+  function stop() {
+    for (const entry of running) {
+      entry.adapter.stop();
+    }
+    running = [];
+    tickCallback = null;
+  }
+
+  function getAdapterHealth(entry, now) {
+    const { stats } = entry;
+    return {
+      adapter: entry.adapter.name,
+      selector: entry.adapter.getSelector(),
+      lastTickAge: stats.lastTickTime ? now - stats.lastTickTime : null,
+      lastActivityAge: stats.lastActivityTime ? now - stats.lastActivityTime : null,
+      lastChangeAge: stats.lastChangeTime ? now - stats.lastChangeTime : null,
+      ticksPerMinute: stats.tickTimes.filter(t => now - t <= RATE_WINDOW_MS).length,
+      parseFailures: stats.parseFailures,
+      lastFailure: stats.lastFailure
+    };
+  }
+
+  /**
+   * Health of the adapter currently feeding ticks, plus every running adapter. Silence is measured from the
+   * last tick or observed mutation; while the tab is hidden nothing is reported stale, because Chrome
+   * throttles the heartbeat timers there and a healthy feed would look silent.
+   */
+  function getHealth() {
+    const now = Date.now();
+    const adapters = running.map(entry => getAdapterHealth(entry, now));
+    const active = adapters.find(h => h.lastTickAge !== null && h.lastTickAge < PRIORITY_WINDOW_MS) ||
+                   adapters.find(h => h.lastTickAge !== null) || null;
+
+    const hidden = typeof document !== 'undefined' && document.hidden;
+    let stale = true;
+    let staleReason = 'No ticks received';
+    if (active) {
+      const silentFor = active.lastActivityAge !== null ? active.lastActivityAge : active.lastTickAge;
+      if (hidden) {
+        stale = false;
+        staleReason = null;
+      } else if (silentFor > STALE_TICK_MS) {
+        staleReason = `No ticks for ${Math.round(silentFor / 1000)}s`;
+      } else if (active.lastChangeAge > STALE_CHANGE_MS) {
+        staleReason = `Price frozen for ${Math.round(active.lastChangeAge / 1000)}s`;
+      } else {
+        stale = false;
+        staleReason = null;
+      }
+    }
+
+    return {
+      ...(active || { adapter: null, selector: null, lastTickAge: null, lastActivityAge: null, lastChangeAge: null, ticksPerMinute: 0, parseFailures: 0, lastFailure: null }),
+      stale,
+      staleReason,
+      hidden,
+      clockOffset,
+      adapters
+    };
+  }
+
+  function isStale() {
+    return getHealth().stale;
+  }
+
+  /**
+   * Scope health and adapter priority to the asset the user is looking at
+   */
+  function setActiveAsset(asset) {
+    if (asset === activeAsset) return;
+    activeAsset = asset;
+    // Previous asset's rate history says nothing about the new one
+    for (const entry of running) {
+      entry.stats = { ...createStats(), parseFailures: entry.stats.parseFailures, lastFailure: entry.stats.lastFailure };
+    }
+  }
+
+  return {
+    start,
+    stop,
+    getHealth,
+    isStale,
+    setActiveAsset,
+    parsePrice,
+    createDomAdapter,
+    createPageScriptAdapter,
+    createReplayAdapter,
+    SELECTORS,
+    TEXT_FALLBACK,
+    BRIDGE_SOURCE
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Price Source loaded');
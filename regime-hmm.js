@@ -0,0 +1,163 @@
+/**
+ * Pocket Scout Dynamic Time - Regime HMM
+ * Online Gaussian hidden Markov model over M1 returns and true range: filtered regime probabilities,
+ * expected regime duration and the likelihood of a regime change on the next bar
+ */
+
+window.RegimeHMM = (function() {
+  'use strict';
+
+  const STATES = ['BULL_TREND', 'BEAR_TREND', 'RANGE', 'VOLATILE'];
+
+  // Initial emission means/variances for [return z-score, log relative true range]
+  const INITIAL_MEANS = [[1, 0], [-1, 0], [0, -0.4], [0, 0.6]];
+  const INITIAL_VARIANCES = [[1, 0.5], [1, 0.5], [0.5, 0.4], [2.5, 0.6]];
+  const INITIAL_STAY = 0.95;
+
+  const RETURN_SPAN = 5;         // Bars per return observation (single M1 returns are mostly noise)
+  const SCALE_ALPHA = 0.004;     // EW weight of the return variance / true range scales (~250 bars)
+  const SCALE_WARMUP = 30;       // Bars that only feed the scales
+  const LEARNING_RATE = 0.003;   // Online EM step for emissions and transitions (faster steps let states drift)
+  const MIN_VARIANCE = 0.05;
+  const MIN_OCCUPANCY = 0.02;    // Floor on a state's share so a quiet state is not forgotten
+  const READY_BARS = 60;         // Observations before the output is reported as ready
+  const MAX_Z = 5;
+
+  function logGaussian(x, mean, variance) {
+    let sum = 0;
+    for (let d = 0; d < x.length; d++) {
+      const diff = x[d] - mean[d];
+      sum += -0.5 * (Math.log(2 * Math.PI * variance[d]) + diff * diff / variance[d]);
+    }
+    return sum;
+  }
+
+  function clamp(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+  }
+
+  /**
+   * New model: feed closed candles in order with update(candle), read snapshot() any time
+   */
+  function create() {
+    const K = STATES.length;
+    let means = INITIAL_MEANS.map(m => m.slice());
+    let variances = INITIAL_VARIANCES.map(v => v.slice());
+    let transitions = STATES.map((_, i) => STATES.map((__, j) => i === j ? INITIAL_STAY : (1 - INITIAL_STAY) / (K - 1)));
+    let alpha = STATES.map(() => 1 / K);
+
+    // Online EM sufficient statistics: occupancy, first and second moments, transition counts
+    const occupancy = STATES.map(() => 1 / K);
+    const moment1 = means.map(m => m.map(v => v / K));
+    const moment2 = means.map((m, k) => m.map((v, d) => (variances[k][d] + v * v) / K));
+    const transitionCounts = transitions.map(row => row.map(p => p / K));
+
+    const closes = []; // Closes of the last RETURN_SPAN bars
+    let prevClose = null;
+    let returnVariance = null;
+    let rangeScale = null;
+    let bars = 0;
+    let observations = 0;
+    let mostLikely = null;
+    let barsInState = 0;
+    let lastT = null;
+
+    function observe(candle) {
+      const r = Math.log(candle.c / prevClose);
+      const trueRange = (Math.max(candle.h, prevClose) - Math.min(candle.l, prevClose)) / prevClose;
+      returnVariance = returnVariance === null ? r * r : returnVariance + SCALE_ALPHA * (r * r - returnVariance);
+      rangeScale = rangeScale === null ? trueRange : rangeScale + SCALE_ALPHA * (trueRange - rangeScale);
+      if (bars < SCALE_WARMUP || closes.length < RETURN_SPAN || !returnVariance || !rangeScale) return null;
+
+      const spanReturn = Math.log(candle.c / closes[closes.length - RETURN_SPAN]);
+      return [
+        clamp(spanReturn / Math.sqrt(returnVariance * RETURN_SPAN), MAX_Z),
+        clamp(Math.log((trueRange + rangeScale * 0.01) / rangeScale), MAX_Z)
+      ];
+    }
+
+    // Forward filter one observation, then move parameters toward its posteriors
+    function learn(x) {
+      const logB = means.map((mean, k) => logGaussian(x, mean, variances[k]));
+      const maxLog = Math.max(...logB);
+      const b = logB.map(v => Math.exp(v - maxLog));
+
+      const joint = alpha.map((a, i) => transitions[i].map((p, j) => a * p * b[j]));
+      const total = joint.reduce((sum, row) => sum + row.reduce((s, v) => s + v, 0), 0) || 1;
+      const posterior = STATES.map((_, j) => joint.reduce((sum, row) => sum + row[j], 0) / total);
+
+      for (let k = 0; k < K; k++) {
+        occupancy[k] += LEARNING_RATE * (posterior[k] - occupancy[k]);
+        for (let d = 0; d < x.length; d++) {
+          moment1[k][d] += LEARNING_RATE * (posterior[k] * x[d] - moment1[k][d]);
+          moment2[k][d] += LEARNING_RATE * (posterior[k] * x[d] * x[d] - moment2[k][d]);
+        }
+        const weight = Math.max(occupancy[k], MIN_OCCUPANCY);
+        means[k] = moment1[k].map(v => v / weight);
+        variances[k] = moment2[k].map((v, d) => Math.max(MIN_VARIANCE, v / weight - means[k][d] * means[k][d]));
+
+        for (let j = 0; j < K; j++) {
+          transitionCounts[k][j] += LEARNING_RATE * (joint[k][j] / total - transitionCounts[k][j]);
+        }
+        const rowTotal = transitionCounts[k].reduce((sum, v) => sum + v, 0);
+        transitions[k] = transitionCounts[k].map(v => rowTotal > 0 ? v / rowTotal : 1 / K);
+      }
+
+      alpha = posterior;
+      observations++;
+      const best = posterior.indexOf(Math.max(...posterior));
+      barsInState = best === mostLikely ? barsInState + 1 : 1;
+      mostLikely = best;
+    }
+
+    function update(candle) {
+      if (prevClose !== null && prevClose > 0) {
+        const x = observe(candle);
+        if (x) learn(x);
+      }
+      closes.push(candle.c);
+      if (closes.length > RETURN_SPAN) closes.shift();
+      prevClose = candle.c;
+      lastT = candle.t;
+      bars++;
+    }
+
+    /**
+     * { ready, state, probabilities: { BULL_TREND, ... }, expectedDuration (bars the current regime lasts
+     * on average), barsInState, transitionProbability (chance the regime differs next bar), entropy 0-1,
+     * confidence = top probability x (1 - transitionProbability) }
+     */
+    function snapshot() {
+      const probabilities = {};
+      STATES.forEach((name, k) => { probabilities[name] = alpha[k]; });
+      const best = mostLikely === null ? STATES.indexOf('RANGE') : mostLikely;
+      const stay = alpha.reduce((sum, p, k) => sum + p * transitions[k][k], 0);
+      const entropy = -alpha.reduce((sum, p) => sum + (p > 0 ? p * Math.log(p) : 0), 0) / Math.log(K);
+      const transitionProbability = 1 - stay;
+      return {
+        ready: observations >= READY_BARS,
+        state: STATES[best],
+        probabilities,
+        expectedDuration: 1 / Math.max(1e-6, 1 - transitions[best][best]),
+        barsInState,
+        transitionProbability,
+        entropy,
+        confidence: alpha[best] * (1 - transitionProbability),
+        observations
+      };
+    }
+
+    return {
+      update,
+      snapshot,
+      getLastTime: () => lastT
+    };
+  }
+
+  return {
+    create,
+    STATES
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Regime HMM loaded');
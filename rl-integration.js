@@ -73,7 +73,19 @@ window.RLIntegration = (function() {
     console.log(`[RL Integration] 🎯 Bandit weight updated for ${groupId}: ${base.toFixed(3)} -> ${next.toFixed(3)} (result=${result}, conf=${confidence})`);
   }
 
-  function warmupBanditFromHistory(ohlcData) {
+  const HISTORY_WINDOW = 100; // Candles each group sees per bar in a full-history pass
+  const HISTORY_CHUNK = 50; // Bars per chunk before yielding to the page
+  const HISTORY_MAX_ADJUST = 0.5; // Largest weight move a full-history pass can make
+
+  /**
+   * Warm bandit weights from candles. By default only the last bar is scored;
+   * with { fullHistory: true } every bar is scored (asynchronously, in chunks) and each group's
+   * win rate moves its weight once. Resolves to { bars, groups } in that mode.
+   */
+  function warmupBanditFromHistory(ohlcData, options = {}) {
+    if (options.fullHistory) {
+      return warmupBanditFromFullHistory(ohlcData, options.onProgress);
+    }
     if (!ohlcData || ohlcData.length < 30 || !window.IndicatorGroups) return;
     const groups = window.IndicatorGroups.getAllGroups();
     const closes = ohlcData.map(c => c.c);
@@ -95,6 +107,63 @@ window.RLIntegration = (function() {
     });
   }
 
+  function warmupBanditFromFullHistory(ohlcData, onProgress = null) {
+    if (!ohlcData || ohlcData.length < HISTORY_WINDOW + 1 || !window.IndicatorGroups) {
+      return Promise.resolve({ bars: 0, groups: {} });
+    }
+    const groups = window.IndicatorGroups.getAllGroups();
+    const tally = {}; // groupId -> { wins, total }
+    const lastBar = ohlcData.length - 2; // Every scored bar needs the next candle as its outcome
+    let bar = HISTORY_WINDOW - 1;
+
+    return new Promise((resolve) => {
+      function runChunk() {
+        const chunkEnd = Math.min(lastBar, bar + HISTORY_CHUNK);
+        for (; bar <= chunkEnd; bar++) {
+          const candles = ohlcData.slice(bar - HISTORY_WINDOW + 1, bar + 1);
+          const data = {
+            closes: candles.map(c => c.c),
+            highs: candles.map(c => c.h),
+            lows: candles.map(c => c.l),
+            opens: candles.map(c => c.o),
+            candles
+          };
+          const next = ohlcData[bar + 1].c;
+          const current = ohlcData[bar].c;
+          if (next === current) continue;
+
+          groups.forEach((g) => {
+            if (!g || !g.analyze) return;
+            const analysis = g.analyze(data);
+            if (!analysis || !analysis.action) return;
+            const win = (analysis.action === 'BUY' && next > current) || (analysis.action === 'SELL' && next < current);
+            const entry = tally[g.id] || (tally[g.id] = { wins: 0, total: 0 });
+            entry.total++;
+            if (win) entry.wins++;
+          });
+        }
+
+        if (onProgress) onProgress(Math.min(1, (bar - HISTORY_WINDOW + 1) / (lastBar - HISTORY_WINDOW + 2)));
+        if (bar <= lastBar) {
+          setTimeout(runChunk, 0);
+          return;
+        }
+
+        // One weight move per group, scaled by its edge over a coin flip and by how often it fired
+        Object.entries(tally).forEach(([groupId, { wins, total }]) => {
+          const base = banditWeights[groupId] || 1;
+          const edge = wins / total - 0.5;
+          const adjust = Math.max(-HISTORY_MAX_ADJUST, Math.min(HISTORY_MAX_ADJUST, edge * 4 * Math.min(1, total / 100)));
+          banditWeights[groupId] = Math.min(2.0, Math.max(0.5, base + adjust));
+          console.log(`[RL Integration] 🎯 History warmup for ${groupId}: ${wins}/${total} wins, weight ${base.toFixed(3)} -> ${banditWeights[groupId].toFixed(3)}`);
+        });
+        saveBanditWeights();
+        resolve({ bars: lastBar - HISTORY_WINDOW + 2, groups: tally });
+      }
+      runChunk();
+    });
+  }
+
   let isInitialized = false;
   let epsilon = CONFIG.EPSILON;
   let sessionWins = 0;
@@ -120,12 +189,9 @@ window.RLIntegration = (function() {
       return state;
     }
     
-    const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-    
     const TI = window.TechnicalIndicators;
-    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
+    const ind = TI.indicatorsFor(ohlcData);
+    const avgPrice = ohlcData.slice(-20).reduce((sum, c) => sum + c.c, 0) / 20;
     
     // [0] Market Regime Volatility Level
     if (regimeData && regimeData.volatility) {
@@ -135,7 +201,7 @@ window.RLIntegration = (function() {
     }
     
     // [1] Volatility (ATR) - normalized and stored as risk snapshot
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+    const atr = ind.atr(14);
     if (atr && avgPrice > 0) {
       state[1] = Math.min(1, (atr / avgPrice) * 50);
       lastRiskSnapshot = {
@@ -146,39 +212,44 @@ window.RLIntegration = (function() {
     }
     
     // [2] Trend Strength (EMA separation)
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
+    const ema12 = ind.ema(12);
+    const ema26 = ind.ema(26);
     if (ema12 && ema26) {
       const diff = Math.abs(ema12 - ema26) / avgPrice;
       state[2] = Math.min(1, diff * 100);
     }
     
-    // [3] Trend Direction
+    // [3] Trend Direction: EMA label, blended with the HMM's bull-vs-bear probability once it is ready
+    const hmm = regimeData && regimeData.hmm && regimeData.hmm.ready ? regimeData.hmm : null;
     if (regimeData && regimeData.trend) {
       state[3] = regimeData.trend.direction === 'BULLISH' ? 1 :
                  regimeData.trend.direction === 'BEARISH' ? 0 : 0.5;
     }
+    if (hmm) {
+      const lean = hmm.probabilities.BULL_TREND - hmm.probabilities.BEAR_TREND;
+      state[3] = state[3] * 0.5 + (0.5 + lean / 2) * 0.5;
+    }
     
     // [4] RSI
-    const rsi = TI.calculateRSI(closes, 14);
+    const rsi = ind.rsi(14);
     if (rsi !== null) {
       state[4] = rsi / 100;
     }
     
     // [5] MACD Histogram
-    const macd = TI.calculateMACD(closes, 12, 26, 9);
+    const macd = ind.macd(12, 26, 9);
     if (macd && macd.histogram !== undefined) {
       state[5] = 0.5 + Math.max(-0.5, Math.min(0.5, macd.histogram * 1000));
     }
     
     // [6] ADX Trend Strength (NEW)
-    const adx = TI.calculateADX(highs, lows, closes, 14);
+    const adx = ind.adx(14);
     if (adx && adx.adx !== null) {
       state[6] = Math.min(1, adx.adx / 100); // Normalize 0-100 to 0-1
     }
     
     // [7] Stochastic %K (NEW)
-    const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
+    const stoch = ind.stochastic(14, 3);
     if (stoch && stoch.k !== undefined) {
       state[7] = stoch.k / 100; // Normalize 0-100 to 0-1
     }
@@ -189,9 +260,9 @@ window.RLIntegration = (function() {
     const minute = now.getUTCMinutes();
     state[8] = (hour * 60 + minute) / (24 * 60);
     
-    // [9] Regime Stability
+    // [9] Regime Stability (HMM: top regime probability x chance it persists next bar)
     const stability = window.MarketRegimeDetector.getRegimeStability();
-    state[9] = stability / 100;
+    state[9] = hmm ? hmm.confidence : stability / 100;
     
     // [10] Win Rate History
     const total = sessionWins + sessionLosses;
@@ -203,67 +274,78 @@ window.RLIntegration = (function() {
     // [12] Market Conditions Score
     state[12] = 0.5;
     if (regimeData) {
-      const stability = window.MarketRegimeDetector.getRegimeStability();
       state[12] += (stability - 50) / 200;
       if (regimeData.trend && regimeData.trend.strength === 'STRONG') {
         state[12] += 0.15;
       }
-      if (regimeData.volatility && regimeData.volatility.level === 'HIGH') {
+      // A likely volatile regime or an imminent regime change weighs on conditions
+      if (hmm) {
+        state[12] -= hmm.probabilities.VOLATILE * 0.15 + Math.min(0.1, hmm.transitionProbability);
+      } else if (regimeData.volatility && regimeData.volatility.level === 'HIGH') {
         state[12] -= 0.1;
       }
       state[12] = Math.max(0, Math.min(1, state[12]));
     }
     
     // [13] Price Position vs EMAs (NEW)
-    const ema21 = TI.calculateEMA(closes, 21);
-    const price = closes[closes.length - 1];
+    const ema21 = ind.ema(21);
+    const price = ohlcData[ohlcData.length - 1].c;
     if (ema21 && price) {
       state[13] = price > ema21 ? 1 : 0; // Binary: above or below EMA21
     }
     
     // [14] Bollinger Bands %B (NEW)
-    const bb = TI.calculateBollingerBands(closes, 20, 2);
+    const bb = ind.bollinger(20, 2);
     if (bb && bb.percentB !== undefined) {
       state[14] = bb.percentB; // Already normalized 0-1
     }
     
     // [15] CCI (NEW)
-    const cci = TI.calculateCCI(highs, lows, closes, 20);
+    const cci = ind.cci(20);
     if (cci !== null) {
       // Normalize CCI (-200 to +200 range) to 0-1
       state[15] = Math.max(0, Math.min(1, (cci + 200) / 400));
     }
 
-    // Candlestick awareness (pattern confidence + directional bias)
-    const patternSnapshot = TI.detectCandlestickPatterns(ohlcData.slice(-3));
+    // Candlestick awareness: context-weighted pattern score signed by bias (0.5 = no directional pattern)
+    const patternSnapshot = TI.detectCandlestickPatterns(ohlcData);
     lastPatternSnapshot = { ...patternSnapshot, timestamp: Date.now() };
     if (patternSnapshot && patternSnapshot.score) {
-      const patternBias = patternSnapshot.bias === 'BULLISH' ? 0.05 : patternSnapshot.bias === 'BEARISH' ? -0.05 : 0;
-      state[12] = Math.max(0, Math.min(1, state[12] + patternBias));
-      state[15] = Math.max(0, Math.min(1, (state[15] * 0.7) + (patternSnapshot.score * 0.3)));
+      const direction = patternSnapshot.bias === 'BULLISH' ? 1 : patternSnapshot.bias === 'BEARISH' ? -1 : 0;
+      state[12] = Math.max(0, Math.min(1, state[12] + direction * 0.05));
+      state[15] = Math.max(0, Math.min(1, (state[15] * 0.7) + (0.5 + direction * patternSnapshot.score / 2) * 0.3));
     }
     
     return state;
   }
 
-  function selectAction(state) {
+  // Indices of the groups valid in the regime's market phase (every group when none or no phase is known)
+  function allowedActions(regimeData) {
     const groups = window.IndicatorGroups.getAllGroups();
-    
+    const phase = regimeData && regimeData.phase ? regimeData.phase.label : null;
+    const mask = window.IndicatorGroups.getPhaseMask ? window.IndicatorGroups.getPhaseMask(phase) : groups.map(() => true);
+    const allowed = groups.map((_, i) => i).filter(i => mask[i]);
+    return allowed.length > 0 ? allowed : groups.map((_, i) => i);
+  }
+
+  function selectAction(state, allowed) {
+    const randomAllowed = () => allowed[Math.floor(Math.random() * allowed.length)];
+
     // Epsilon-greedy exploration
     if (Math.random() < epsilon) {
-      const randomAction = Math.floor(Math.random() * groups.length);
       lastQAdvantage = 0;
-      return randomAction;
+      return randomAllowed();
     }
     
-    // Exploitation: use DQN
+    // Exploitation: use DQN, restricted to in-phase groups
     if (dqnAgent) {
-      const bestAction = dqnAgent.selectBestAction(state);
+      const mask = window.IndicatorGroups.getAllGroups().map((_, i) => allowed.includes(i));
+      const bestAction = dqnAgent.selectBestAction(state, mask);
       return bestAction.action;
     }
     
     // Fallback: random
-    return Math.floor(Math.random() * groups.length);
+    return randomAllowed();
   }
 
   function calculateReward(result, signalConfidence = null, marketConditions = null) {
@@ -369,7 +451,8 @@ window.RLIntegration = (function() {
 
   function getRecommendedAction(ohlcData, regimeData) {
     const state = encodeState(ohlcData, regimeData);
-    const actionIndex = selectAction(state);
+    const allowed = allowedActions(regimeData);
+    const actionIndex = selectAction(state, allowed);
     const groups = window.IndicatorGroups.getAllGroups();
     const selectedGroup = groups[actionIndex];
     
@@ -383,12 +466,13 @@ window.RLIntegration = (function() {
     // Get Q-values for confidence estimation
     let confidence = 75;
     if (dqnAgent) {
-      const qValues = dqnAgent.getQValues(state);
+      // Advantage and confidence are measured against the in-phase alternatives only
+      const qValues = dqnAgent.getQValues(state).filter((_, i) => allowed.includes(i));
       const maxQ = Math.max(...qValues);
       const minQ = Math.min(...qValues);
       if (maxQ !== minQ) {
         // Better confidence calculation based on Q-value distribution
-        const qValue = qValues[actionIndex];
+        const qValue = qValues[allowed.indexOf(actionIndex)];
         // Advantage vs second-best to drive high-confidence gating
         const sorted = [...qValues].sort((a, b) => b - a);
         const secondQ = sorted.length > 1 ? sorted[1] : minQ;
@@ -412,11 +496,8 @@ window.RLIntegration = (function() {
     let expiry = 300; // Default 5 minutes
     const TI = window.TechnicalIndicators;
     if (ohlcData && ohlcData.length >= 50) {
-      const closes = ohlcData.map(c => c.c);
-      const highs = ohlcData.map(c => c.h);
-      const lows = ohlcData.map(c => c.l);
-      const atr = TI.calculateATR(highs, lows, closes, 14);
-      const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
+      const atr = TI.indicatorsFor(ohlcData).atr(14);
+      const avgPrice = ohlcData.slice(-20).reduce((sum, c) => sum + c.c, 0) / 20;
       
       if (atr && avgPrice > 0) {
         const volatilityRatio = (atr / avgPrice) * 100;
@@ -0,0 +1,158 @@
+/**
+ * Pocket Scout Dynamic Time - Series Transforms
+ * Heikin-Ashi candles and ATR-sized Renko bricks derived from M1 candles, served to indicator groups that
+ * declare a `source` instead of the raw candles
+ */
+
+window.SeriesTransforms = (function() {
+  'use strict';
+
+  const TI = window.TechnicalIndicators;
+
+  const SOURCES = ['CANDLES', 'HEIKIN_ASHI', 'RENKO'];
+  const SOURCE_LABELS = { CANDLES: 'Candles', HEIKIN_ASHI: 'Heikin-Ashi', RENKO: 'Renko' };
+  const RENKO_ATR_PERIOD = 14;
+  const RENKO_BRICK_ATR = 1;      // Brick size in ATRs, fixed while the bricks are extended
+  const RENKO_RESIZE_RATIO = 1.5; // Rebuild with a new size once ATR drifts this far from the brick size
+  const MAX_BRICKS = 2000;
+
+  const cache = new WeakMap(); // raw candle array -> { HEIKIN_ASHI: candles, RENKO: state, data: { source -> input } }
+
+  function entryFor(candles) {
+    if (!cache.has(candles)) cache.set(candles, { HEIKIN_ASHI: null, RENKO: null, data: {} });
+    return cache.get(candles);
+  }
+
+  /**
+   * Heikin-Ashi candles: close = OHLC average, open = midpoint of the previous HA body, wicks cover both.
+   * Rewrites `into` in place so indicator engines keyed on the array keep streaming.
+   */
+  function heikinAshi(candles, into = []) {
+    into.length = 0;
+    let prev = null;
+    for (const { t, o, h, l, c } of candles) {
+      const close = (o + h + l + c) / 4;
+      const open = prev ? (prev.o + prev.c) / 2 : (o + c) / 2;
+      prev = { t, o: open, h: Math.max(h, open, close), l: Math.min(l, open, close), c: close };
+      into.push(prev);
+    }
+    return into;
+  }
+
+  // Index after the candle at time t (0 when nothing was processed yet, -1 when it is no longer in the array)
+  function indexAfter(candles, t) {
+    if (t === null) return 0;
+    let lo = 0;
+    let hi = candles.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid].t === t) return mid + 1;
+      if (candles[mid].t < t) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return -1;
+  }
+
+  /**
+   * Close-based bricks: one per full brick a closed candle moves beyond the last brick, two bricks against
+   * it to reverse. Several bricks from one candle get t, t+1, ... so brick times stay unique and ordered.
+   */
+  function appendBricks(state, candles, from, to) {
+    const size = state.size;
+    for (let i = from; i < to; i++) {
+      const { t, c } = candles[i];
+      let k = 0;
+      while (c >= state.high + size) {
+        state.bricks.push({ t: t + k++, o: state.high, h: state.high + size, l: state.high, c: state.high + size });
+        state.low = state.high;
+        state.high += size;
+      }
+      while (c <= state.low - size) {
+        state.bricks.push({ t: t + k++, o: state.low, h: state.low, l: state.low - size, c: state.low - size });
+        state.high = state.low;
+        state.low -= size;
+      }
+      state.lastT = t;
+    }
+    if (state.bricks.length > MAX_BRICKS) state.bricks.splice(0, state.bricks.length - MAX_BRICKS);
+  }
+
+  /**
+   * Renko bricks of RENKO_BRICK_ATR x ATR(14) built from the closed candles. Extended incrementally; the
+   * brick size only changes (with a fresh array) when the history is replaced or ATR drifts past RENKO_RESIZE_RATIO.
+   */
+  function renko(candles) {
+    if (!candles || candles.length < 2) return [];
+    const atr = TI.indicatorsFor(candles).atr(RENKO_ATR_PERIOD);
+    if (!atr) return [];
+
+    const entry = entryFor(candles);
+    const closedEnd = candles.length - 1;
+    let state = entry.RENKO;
+    const resume = state ? indexAfter(candles, state.lastT) : -1;
+    const drift = state ? Math.max(atr / state.size, state.size / atr) : Infinity;
+    if (resume === -1 || drift > RENKO_RESIZE_RATIO) {
+      state = entry.RENKO = {
+        size: atr * RENKO_BRICK_ATR,
+        bricks: [],
+        high: candles[0].c,
+        low: candles[0].c,
+        lastT: null
+      };
+      appendBricks(state, candles, 0, closedEnd);
+    } else {
+      appendBricks(state, candles, resume, closedEnd);
+    }
+    return state.bricks;
+  }
+
+  function seriesFor(candles, source) {
+    if (source === 'HEIKIN_ASHI') {
+      const entry = entryFor(candles);
+      entry.HEIKIN_ASHI = heikinAshi(candles, entry.HEIKIN_ASHI || []);
+      return entry.HEIKIN_ASHI;
+    }
+    if (source === 'RENKO') return renko(candles);
+    return null;
+  }
+
+  /**
+   * Group input for `source`: the data itself for CANDLES, otherwise { closes, highs, lows, opens, candles }
+   * of the transformed series with every other field (getSeries, ...) passed through and source set.
+   * Memoised until the last raw candle changes.
+   */
+  function transform(data, source) {
+    if (!source || source === 'CANDLES' || !data || !data.candles || data.candles.length < 2) return data;
+
+    const raw = data.candles;
+    const last = raw[raw.length - 1];
+    const key = `${raw.length}|${last.t}|${last.o}|${last.h}|${last.l}|${last.c}`;
+    const entry = entryFor(raw);
+    const cached = entry.data[source];
+    if (cached && cached.key === key && cached.base === data) return cached.input;
+
+    const candles = seriesFor(raw, source);
+    if (!candles) return data;
+    const input = {
+      ...data,
+      closes: candles.map(c => c.c),
+      highs: candles.map(c => c.h),
+      lows: candles.map(c => c.l),
+      opens: candles.map(c => c.o),
+      candles,
+      source
+    };
+    entry.data[source] = { key, base: data, input };
+    return input;
+  }
+
+  return {
+    transform,
+    heikinAshi: candles => heikinAshi(candles),
+    renko,
+    SOURCES,
+    SOURCE_LABELS
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Series Transforms loaded');
@@ -0,0 +1,157 @@
+/**
+ * Pocket Scout Dynamic Time - Signal Log
+ * Persists published signals with their context and outcomes in IndexedDB for offline analysis
+ */
+
+window.SignalLog = (function() {
+  'use strict';
+
+  const DB_NAME = 'PocketScoutSignals';
+  const DB_VERSION = 1;
+  const SIGNAL_STORE = 'signals';
+  const MAX_AGE_DAYS = 90;
+
+  let dbPromise = null;
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SIGNAL_STORE)) {
+          const store = db.createObjectStore(SIGNAL_STORE, { keyPath: 'timestamp' });
+          store.createIndex('asset', 'asset', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+    return dbPromise;
+  }
+
+  async function put(record) {
+    const db = await openDb();
+    const tx = db.transaction(SIGNAL_STORE, 'readwrite');
+    tx.objectStore(SIGNAL_STORE).put(record);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function regimeSnapshot(regime) {
+    if (!regime) return null;
+    const htf = regime.higherTimeframes || {};
+    return {
+      trend: regime.trend ? regime.trend.direction : null,
+      trendStrength: regime.trend ? regime.trend.strength : null,
+      volatility: regime.volatility ? regime.volatility.level : null,
+      volatilityRatio: regime.volatility ? regime.volatility.ratio : null,
+      volatilityPercentile: regime.volatility && regime.volatility.percentile != null ? regime.volatility.percentile : null,
+      momentum: regime.momentum ? regime.momentum.regime : null,
+      phase: regime.phase ? regime.phase.label : null,
+      rsi: regime.momentum ? regime.momentum.rsi : null,
+      m5: htf.M5 ? htf.M5.direction : null,
+      m15: htf.M15 ? htf.M15.direction : null,
+      uncertainty: regime.uncertainty ? regime.uncertainty.score : null,
+      hmmState: regime.hmm && regime.hmm.ready ? regime.hmm.state : null,
+      hmmProbabilities: regime.hmm && regime.hmm.ready ? regime.hmm.probabilities : null,
+      regimeChangeProbability: regime.hmm && regime.hmm.ready ? regime.hmm.transitionProbability : null
+    };
+  }
+
+  /**
+   * Store a published signal with the context it was published in (RL state is not stored)
+   */
+  function record(signal, regime = null) {
+    if (!signal || !signal.timestamp) return Promise.resolve();
+    return put({
+      timestamp: signal.timestamp,
+      asset: signal.asset || null,
+      action: signal.action,
+      groupId: signal.groupId,
+      groupName: signal.groupName,
+      confidence: signal.confidence,
+      price: signal.price,
+      expiry: signal.expiry || (signal.minutes || 5) * 60,
+      timingScore: typeof signal.timingScore === 'number' ? signal.timingScore : null,
+      regimeChanges: signal.regimeChanges || [],
+      publishedEarly: !!signal.publishedEarly,
+      reasons: signal.reasons || [],
+      risk: signal.risk || null,
+      patterns: signal.patterns && signal.patterns.patterns ? signal.patterns.patterns : [],
+      regime: regimeSnapshot(regime),
+      outcome: null,
+      expiryPrice: null,
+      verifiedAt: null,
+      verifiedBy: null,
+      rl: null
+    });
+  }
+
+  /**
+   * Attach an outcome (and the RL metrics right after learning from it) to a logged signal
+   */
+  async function recordOutcome(signal, outcome, details = {}) {
+    if (!signal || !signal.timestamp) return;
+    const db = await openDb();
+    const existing = await promisify(db.transaction(SIGNAL_STORE, 'readonly').objectStore(SIGNAL_STORE).get(signal.timestamp));
+    if (!existing) return;
+    await put({
+      ...existing,
+      outcome,
+      expiryPrice: details.expiryPrice !== undefined ? details.expiryPrice : null,
+      verifiedAt: Date.now(),
+      verifiedBy: details.source || null,
+      rl: details.rl || null
+    });
+  }
+
+  /**
+   * Logged signals, oldest first, optionally limited to a time range and asset
+   */
+  async function getSignals({ from = 0, to = Number.MAX_SAFE_INTEGER, asset = null } = {}) {
+    const db = await openDb();
+    const range = IDBKeyRange.bound(from, to);
+    const records = await promisify(db.transaction(SIGNAL_STORE, 'readonly').objectStore(SIGNAL_STORE).getAll(range));
+    return asset ? records.filter(r => r.asset === asset) : records;
+  }
+
+  /**
+   * Drop signals older than MAX_AGE_DAYS
+   */
+  async function prune() {
+    const db = await openDb();
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 3600 * 1000;
+    const tx = db.transaction(SIGNAL_STORE, 'readwrite');
+    tx.objectStore(SIGNAL_STORE).delete(IDBKeyRange.upperBound(cutoff, true));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  return {
+    record,
+    recordOutcome,
+    getSignals,
+    prune
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Signal Log loaded');
@@ -1,6 +1,7 @@
 /**
  * Pocket Scout Dynamic Time - Signal Timing Controller
- * Manages dynamic decision windows (1-5 minutes) for optimal signal timing
+ * Manages dynamic decision windows (1-5 minutes) for optimal signal timing: every S15 close after the
+ * minimum delay scores the current candidate entry, publishing early when it is good and delaying when it is poor
  */
 
 window.SignalTimingController = (function() {
@@ -8,7 +9,13 @@ window.SignalTimingController = (function() {
 
   const MIN_DELAY_MS = 60 * 1000;  // 1 minute minimum
   const MAX_DELAY_MS = 300 * 1000; // 5 minutes maximum
-  const EVALUATION_INTERVAL_MS = 20 * 1000; // Evaluate every 20 seconds
+  const ENTRY_TIMEFRAME = 'S15'; // Entries are timed on S15 closes rather than minute closes
+  const EVALUATION_INTERVAL_MS = 15 * 1000; // Evaluate on every S15 close
+  const MAX_REGIME_RESTARTS = 1; // Times a regime flip may restart one window
+  // evaluateTimingQuality averages weighted factors, so even a fully aligned entry scores only ~0.3
+  const EARLY_PUBLISH_SCORE = 0.28; // Timing score on an S15 close that publishes before the window ends
+  const DELAY_SCORE = 0.2;          // Below this on the last close before the end, the end moves one S15 later
+  const MAX_EXTENSION_MS = 60 * 1000;
 
   let windowStartTime = null;
   let evaluationIntervalId = null;
@@ -16,18 +23,24 @@ window.SignalTimingController = (function() {
   let initialConfidence = null;
   let initialRegime = null;
   let timingCallback = null;
+  let alignTimeoutId = null;
+  let regimeChanges = []; // Transition events seen while the window is open
+  let regimeRestarts = 0;
+  let entryDataSource = null; // () => { ohlcData, regimeData, entryCandles, candidate } for in-window scoring
+  let lastEvaluation = null;  // { score, action, candidate, timestamp } of the latest S15 close
+  let extensionMs = 0;
 
   /**
    * Evaluate timing quality based on market conditions
-   * Returns score 0-1 where higher is better
+   * Returns score 0-1 where higher is better. entryCandles (closed S15 candles) drive the
+   * candle-close and pullback checks when available; otherwise M1 closes are used.
    */
-  function evaluateTimingQuality(ohlcData, regimeData, pendingSignalData) {
+  function evaluateTimingQuality(ohlcData, regimeData, pendingSignalData, entryCandles = null) {
     if (!ohlcData || ohlcData.length < 50) return 0;
 
-    const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-    const TI = window.TechnicalIndicators;
+    const entryData = entryCandles && entryCandles.length >= 3 ? entryCandles : ohlcData;
+    const entryCloses = entryData.map(c => c.c);
+    const ind = window.TechnicalIndicators.indicatorsFor(ohlcData);
 
     let score = 0;
     let factors = 0;
@@ -55,9 +68,9 @@ window.SignalTimingController = (function() {
     }
 
     // 2. Favorable candle close (directional confirmation)
-    if (closes.length >= 2 && pendingSignalData) {
-      const lastCandle = ohlcData[ohlcData.length - 1];
-      const prevCandle = ohlcData[ohlcData.length - 2];
+    if (entryCloses.length >= 2 && pendingSignalData) {
+      const lastCandle = entryData[entryData.length - 1];
+      const prevCandle = entryData[entryData.length - 2];
       const candleDirection = lastCandle.c > prevCandle.c ? 'UP' : 'DOWN';
       
       if (pendingSignalData.action === 'BUY' && candleDirection === 'UP') {
@@ -74,8 +87,8 @@ window.SignalTimingController = (function() {
     }
 
     // 3. Reduced short-term volatility (ATR contraction)
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
+    const atr = ind.atr(14);
+    const avgPrice = ohlcData.slice(-20).reduce((sum, c) => sum + c.c, 0) / 20;
     if (atr && avgPrice > 0) {
       const currentVolatility = (atr / avgPrice) * 100;
       
@@ -101,10 +114,10 @@ window.SignalTimingController = (function() {
     }
 
     // 4. Better indicator alignment (RSI/MACD/EMA timing)
-    const rsi = TI.calculateRSI(closes, 14);
-    const macd = TI.calculateMACD(closes, 12, 26, 9);
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
+    const rsi = ind.rsi(14);
+    const macd = ind.macd(12, 26, 9);
+    const ema12 = ind.ema(12);
+    const ema26 = ind.ema(26);
 
     if (pendingSignalData) {
       let alignmentScore = 0;
@@ -165,8 +178,8 @@ window.SignalTimingController = (function() {
     }
 
     // 5. Optional: micro pullback in trend direction
-    if (closes.length >= 3 && pendingSignalData) {
-      const recent = closes.slice(-3);
+    if (entryCloses.length >= 3 && pendingSignalData) {
+      const recent = entryCloses.slice(-3);
       const pullback = (recent[0] - recent[1]) / recent[1];
       const trend = (recent[2] - recent[0]) / recent[0];
       
@@ -208,45 +221,159 @@ window.SignalTimingController = (function() {
       initialPrice: signalData.price
     };
     
-    initialConfidence = signalData.confidence;
+    initialConfidence = typeof signalData.confidence === 'number' ? signalData.confidence : null;
     initialRegime = regimeData ? JSON.parse(JSON.stringify(regimeData)) : null;
     windowStartTime = Date.now();
+    regimeChanges = [];
+    regimeRestarts = 0;
+    lastEvaluation = null;
+    extensionMs = 0;
 
     console.log(`[SignalTimingController] ⏱️ Timing window started (1-5 min)`);
     
-    // Start evaluation interval
-    if (evaluationIntervalId) {
-      clearInterval(evaluationIntervalId);
+    scheduleEvaluation();
+  }
+
+  function evaluate() {
+    if (!windowStartTime || !pendingSignal) return;
+    
+    const elapsed = Date.now() - windowStartTime;
+    
+    // Check if minimum delay has passed
+    if (elapsed < MIN_DELAY_MS) {
+      return;
     }
     
-    evaluationIntervalId = setInterval(() => {
-      if (!windowStartTime || !pendingSignal) return;
-      
-      const elapsed = Date.now() - windowStartTime;
-      
-      // Check if minimum delay has passed
-      if (elapsed < MIN_DELAY_MS) {
-        return;
+    // Check if the window (plus any delay) is over
+    if (hasExpired()) {
+      // Don't stop window here - let content.js handle it after publishing
+      // Just notify that window expired
+      if (timingCallback) {
+        timingCallback('EXPIRED', pendingSignal);
       }
-      
-      // Check if maximum delay exceeded
-      if (elapsed >= MAX_DELAY_MS) {
-        // Don't stop window here - let content.js handle it after publishing
-        // Just notify that window expired
-        if (timingCallback) {
-          timingCallback('EXPIRED', pendingSignal);
-        }
-        return;
+      return;
+    }
+
+    const evaluation = evaluateEntry();
+    if (!evaluation) return;
+
+    if (evaluation.score >= EARLY_PUBLISH_SCORE) {
+      console.log(`[SignalTimingController] 🎯 Good ${evaluation.action} timing on S15 close (${(evaluation.score * 100).toFixed(0)}%), publishing early`);
+      if (timingCallback) {
+        timingCallback('PUBLISH', pendingSignal, evaluation);
       }
-    }, EVALUATION_INTERVAL_MS);
+      return;
+    }
+
+    // Poor timing on the last close before the end: wait one more S15 candle (bounded by MAX_EXTENSION_MS)
+    if (evaluation.score < DELAY_SCORE && getWindowEnd() - Date.now() <= EVALUATION_INTERVAL_MS && extensionMs < MAX_EXTENSION_MS) {
+      extensionMs += EVALUATION_INTERVAL_MS;
+      console.log(`[SignalTimingController] ⏳ Poor ${evaluation.action} timing (${(evaluation.score * 100).toFixed(0)}%), delaying publish by ${EVALUATION_INTERVAL_MS / 1000}s`);
+    }
+  }
+
+  /**
+   * Score the candidate entry from the data source on the latest closed S15 candles
+   */
+  function evaluateEntry() {
+    const data = entryDataSource ? entryDataSource() : null;
+    if (!data || !data.candidate) return null;
+
+    // Analysis-first windows start without a direction: the first candidate's confidence is the baseline
+    if (initialConfidence === null) initialConfidence = data.candidate.confidence;
+    const score = evaluateTimingQuality(data.ohlcData, data.regimeData, data.candidate, data.entryCandles);
+    lastEvaluation = { score, action: data.candidate.action, candidate: data.candidate, timestamp: Date.now() };
+    return lastEvaluation;
+  }
+
+  /**
+   * Start the evaluation interval, aligned to S15 candle closes
+   */
+  function scheduleEvaluation() {
+    clearTimers();
+
+    const untilNextClose = EVALUATION_INTERVAL_MS - (Date.now() % EVALUATION_INTERVAL_MS);
+    alignTimeoutId = setTimeout(() => {
+      alignTimeoutId = null;
+      evaluate();
+      evaluationIntervalId = setInterval(evaluate, EVALUATION_INTERVAL_MS);
+    }, untilNextClose);
+  }
+
+  // Flips that invalidate what the window has observed so far
+  function isRegimeFlip(event) {
+    if (event.dimension === 'trend') return event.from !== 'NEUTRAL' && event.to !== 'NEUTRAL';
+    if (event.dimension === 'volatility') return event.to === 'HIGH';
+    if (event.dimension === 'phase') return event.to === 'BREAKOUT';
+    return false;
+  }
+
+  /**
+   * MarketRegimeDetector transition during an open window: a flip restarts the window (up to
+   * MAX_REGIME_RESTARTS) with the new regime as its baseline; every change is passed on as REGIME_CHANGE
+   */
+  function onRegimeChange(event, regime) {
+    if (!isActive() || hasExpired()) return;
+    regimeChanges.push(event);
+
+    if (isRegimeFlip(event) && regimeRestarts < MAX_REGIME_RESTARTS) {
+      regimeRestarts++;
+      initialRegime = JSON.parse(JSON.stringify(regime));
+      windowStartTime = Date.now();
+      lastEvaluation = null;
+      extensionMs = 0;
+      scheduleEvaluation();
+      console.log(`[SignalTimingController] 🔀 Regime flip (${event.dimension} ${event.from}→${event.to}), timing window restarted`);
+    }
+
+    if (timingCallback) {
+      timingCallback('REGIME_CHANGE', pendingSignal, event);
+    }
+  }
+
+  /**
+   * Clear the alignment timeout and the evaluation interval
+   */
+  function clearTimers() {
+    if (alignTimeoutId) {
+      clearTimeout(alignTimeoutId);
+      alignTimeoutId = null;
+    }
+    if (evaluationIntervalId) {
+      clearInterval(evaluationIntervalId);
+      evaluationIntervalId = null;
+    }
+  }
+
+  /**
+   * Window end snapped to the first S15 close after the maximum delay (plus any poor-timing delay), so entries land on a candle boundary
+   */
+  function getWindowEnd() {
+    if (!windowStartTime) return null;
+    const end = windowStartTime + MAX_DELAY_MS + extensionMs;
+    return Math.ceil(end / EVALUATION_INTERVAL_MS) * EVALUATION_INTERVAL_MS;
+  }
+
+  /**
+   * Check if we should publish the signal now: the latest S15 close scored well enough to enter before expiry
+   */
+  function shouldPublishNow() {
+    if (!isActive() || !lastEvaluation) return false;
+    return Date.now() - windowStartTime >= MIN_DELAY_MS && lastEvaluation.score >= EARLY_PUBLISH_SCORE;
   }
 
   /**
-   * Check if we should publish the signal now
+   * Latest in-window evaluation ({ score, action, candidate, timestamp }) or null
    */
-  function shouldPublishNow(ohlcData, regimeData) {
-    // Analysis-first mode: always wait until window expiry (handled by content.js)
-    return false;
+  function getLastEvaluation() {
+    return lastEvaluation;
+  }
+
+  /**
+   * Set the source of in-window data: fn() -> { ohlcData, regimeData, entryCandles, candidate: { action, confidence } }
+   */
+  function setEntryDataSource(fn) {
+    entryDataSource = fn;
   }
 
   /**
@@ -254,7 +381,7 @@ window.SignalTimingController = (function() {
    */
   function hasExpired() {
     if (!windowStartTime) return false;
-    return (Date.now() - windowStartTime) >= MAX_DELAY_MS;
+    return Date.now() >= getWindowEnd();
   }
 
   /**
@@ -270,23 +397,23 @@ window.SignalTimingController = (function() {
    */
   function getRemainingTime() {
     if (!windowStartTime) return MAX_DELAY_MS;
-    const elapsed = Date.now() - windowStartTime;
-    return Math.max(0, MAX_DELAY_MS - elapsed);
+    return Math.max(0, getWindowEnd() - Date.now());
   }
 
   /**
    * Stop the timing window
    */
   function stopTimingWindow() {
-    if (evaluationIntervalId) {
-      clearInterval(evaluationIntervalId);
-      evaluationIntervalId = null;
-    }
+    clearTimers();
     
     windowStartTime = null;
     pendingSignal = null;
     initialConfidence = null;
     initialRegime = null;
+    regimeChanges = [];
+    regimeRestarts = 0;
+    lastEvaluation = null;
+    extensionMs = 0;
     
     console.log('[SignalTimingController] Timing window stopped');
   }
@@ -306,14 +433,26 @@ window.SignalTimingController = (function() {
   }
 
   /**
-   * Set callback for timing events
+   * Regime transitions seen during the current window
+   */
+  function getRegimeChanges() {
+    return regimeChanges.slice();
+  }
+
+  /**
+   * Set callback for timing events: callback(event, pendingSignal, detail) with event EXPIRED, PUBLISH or REGIME_CHANGE
    */
   function setTimingCallback(callback) {
     timingCallback = callback;
   }
 
+  if (window.MarketRegimeDetector && window.MarketRegimeDetector.subscribe) {
+    window.MarketRegimeDetector.subscribe(onRegimeChange);
+  }
+
   return {
     startTimingWindow,
+    evaluateTimingQuality,
     shouldPublishNow,
     hasExpired,
     getElapsedTime,
@@ -321,9 +460,13 @@ window.SignalTimingController = (function() {
     stopTimingWindow,
     isActive,
     getPendingSignal,
+    getRegimeChanges,
+    getLastEvaluation,
+    setEntryDataSource,
     setTimingCallback,
     MIN_DELAY_MS,
-    MAX_DELAY_MS
+    MAX_DELAY_MS,
+    ENTRY_TIMEFRAME
   };
 })();
 
@@ -13,211 +13,903 @@ window.TechnicalIndicators = (function() {
     VOL_RISK_EXTREME: 0.02,
     VOL_RISK_CAP: 0.025,
     BB_SQUEEZE_THRESHOLD: 0.02,
-    PATTERN_SCORE_PER_MATCH: 0.25,
-    PATTERN_WEIGHT: 0.6,
-    BODY_WEIGHT: 0.4
+    BB_SQUEEZE_PERCENTILE: 20,
+    PATTERN_SCORE_PER_MATCH: 0.1 // Pattern score bonus per extra pattern agreeing with the bias
   };
   const MIN_CANDLE_RANGE = 0.00001;
 
-  function calculateSMA(data, period) {
-    if (data.length < period) return null;
-    const slice = data.slice(-period);
-    return slice.reduce((sum, val) => sum + val, 0) / period;
+  // Window of an input series: zero-copy for typed-array column views, a slice for plain arrays
+  function view(data, start, end) {
+    return data.subarray ? data.subarray(start, end) : data.slice(start, end);
   }
 
-  function calculateEMA(data, period) {
-    if (data.length < period) return null;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = data.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
-    
-    for (let i = period; i < data.length; i++) {
-      ema = (data[i] - ema) * multiplier + ema;
-    }
-    
-    return ema;
+  // ===== SMOOTHING =====
+  // Moving averages as streaming averagers: push(x) folds a value in and returns the average (null during
+  // warm-up), peek(x) returns what push(x) would without changing anything. Every indicator smooths through these.
+
+  const MA_TYPES = ['SMA', 'EMA', 'WILDER', 'WMA', 'HMA'];
+
+  // Standard definitions: Wilder's RSI/ATR/ADX, EMA-based MACD and Keltner, SMA-based Bollinger and %D
+  const DEFAULT_SMOOTHING = {
+    rsi: 'WILDER',
+    atr: 'WILDER',
+    adx: 'WILDER',
+    macd: 'EMA',
+    bollinger: 'SMA',
+    stochastic: 'SMA',
+    keltner: 'EMA'
+  };
+
+  function pushWindow(buffer, x, size) {
+    buffer.push(x);
+    if (buffer.length > size) buffer.shift();
   }
 
-  function calculateRSI(closes, period = 14) {
-    if (closes.length < period + 1) return null;
-    
-    let gains = 0;
-    let losses = 0;
-    
-    for (let i = closes.length - period; i < closes.length; i++) {
-      const change = closes[i] - closes[i - 1];
-      if (change > 0) gains += change;
-      else losses += Math.abs(change);
+  function windowAverager(period, compute) {
+    const buffer = [];
+    const averager = {
+      value: null,
+      push(x) {
+        pushWindow(buffer, x, period);
+        averager.value = buffer.length === period ? compute(buffer) : null;
+        return averager.value;
+      },
+      peek(x) {
+        if (buffer.length + 1 < period) return null;
+        return compute(buffer.slice(buffer.length - period + 1).concat(x));
+      }
+    };
+    return averager;
+  }
+
+  // Seeded with the SMA of the first `period` values, then step(previous, x)
+  function recursiveAverager(period, step) {
+    let count = 0;
+    let sum = 0;
+    const averager = {
+      value: null,
+      push(x) {
+        count++;
+        if (count <= period) sum += x;
+        averager.value = count < period ? null : count === period ? sum / period : step(averager.value, x);
+        return averager.value;
+      },
+      peek(x) {
+        if (count + 1 < period) return null;
+        return count + 1 === period ? (sum + x) / period : step(averager.value, x);
+      }
+    };
+    return averager;
+  }
+
+  function hullAverager(period) {
+    const half = createMovingAverage('WMA', Math.max(1, Math.floor(period / 2)));
+    const full = createMovingAverage('WMA', period);
+    const smooth = createMovingAverage('WMA', Math.max(1, Math.round(Math.sqrt(period))));
+    const averager = {
+      value: null,
+      push(x) {
+        const h = half.push(x);
+        const f = full.push(x);
+        averager.value = f === null ? null : smooth.push(2 * h - f);
+        return averager.value;
+      },
+      peek(x) {
+        const h = half.peek(x);
+        const f = full.peek(x);
+        return f === null ? null : smooth.peek(2 * h - f);
+      }
+    };
+    return averager;
+  }
+
+  /**
+   * Streaming moving average of one of MA_TYPES ('WILDER' is Wilder's RMA)
+   */
+  function createMovingAverage(type, period) {
+    switch (type) {
+      case 'SMA':
+        return windowAverager(period, w => w.reduce((sum, val) => sum + val, 0) / period);
+      case 'EMA': {
+        const multiplier = 2 / (period + 1);
+        return recursiveAverager(period, (prev, x) => (x - prev) * multiplier + prev);
+      }
+      case 'WILDER':
+        return recursiveAverager(period, (prev, x) => (prev * (period - 1) + x) / period);
+      case 'WMA':
+        return windowAverager(period, w => {
+          let weighted = 0;
+          for (let i = 0; i < w.length; i++) weighted += w[i] * (i + 1);
+          return weighted / (period * (period + 1) / 2);
+        });
+      case 'HMA':
+        return hullAverager(period);
+      default:
+        throw new Error(`Unknown moving average type: ${type}`);
     }
-    
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    
+  }
+
+  // ===== INDICATOR TRACKERS =====
+  // One streaming definition per indicator over candles ({ h, l, c }). The latest-value functions, the
+  // series variants and the engine all run these, so the three always agree.
+
+  function maTracker(period, type) {
+    const ma = createMovingAverage(type, period);
+    return {
+      push: candle => ma.push(candle.c),
+      peek: candle => ma.peek(candle.c)
+    };
+  }
+
+  function rsiFrom(avgGain, avgLoss) {
+    if (avgGain === null || avgLoss === null) return null;
     if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    return 100 - (100 / (1 + avgGain / avgLoss));
   }
 
-  function calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    if (closes.length < slowPeriod + signalPeriod) return null;
-    
-    const fastEMA = calculateEMA(closes, fastPeriod);
-    const slowEMA = calculateEMA(closes, slowPeriod);
-    
-    if (!fastEMA || !slowEMA) return null;
-    
-    const macdLine = fastEMA - slowEMA;
-    
-    const macdHistory = [];
-    for (let i = slowPeriod; i < closes.length; i++) {
-      const f = calculateEMA(closes.slice(0, i + 1), fastPeriod);
-      const s = calculateEMA(closes.slice(0, i + 1), slowPeriod);
-      if (f && s) macdHistory.push(f - s);
+  function rsiTracker(period, type) {
+    const gains = createMovingAverage(type, period);
+    const losses = createMovingAverage(type, period);
+    let prevClose = null;
+    return {
+      push(candle) {
+        if (prevClose === null) {
+          prevClose = candle.c;
+          return null;
+        }
+        const change = candle.c - prevClose;
+        prevClose = candle.c;
+        return rsiFrom(gains.push(Math.max(change, 0)), losses.push(Math.max(-change, 0)));
+      },
+      peek(candle) {
+        if (prevClose === null) return null;
+        const change = candle.c - prevClose;
+        return rsiFrom(gains.peek(Math.max(change, 0)), losses.peek(Math.max(-change, 0)));
+      }
+    };
+  }
+
+  function directionalMove(prev, candle) {
+    const tr = Math.max(candle.h - candle.l, Math.abs(candle.h - prev.c), Math.abs(candle.l - prev.c));
+    const upMove = candle.h - prev.h;
+    const downMove = prev.l - candle.l;
+    return {
+      tr,
+      plus: upMove > downMove && upMove > 0 ? upMove : 0,
+      minus: downMove > upMove && downMove > 0 ? downMove : 0,
+      buying: candle.c - Math.min(candle.l, prev.c)
+    };
+  }
+
+  // Trackers that need the previous candle: step(move, method) with method 'push' or 'peek'
+  function moveTracker(step) {
+    let prev = null;
+    return {
+      push(candle) {
+        const value = prev === null ? null : step(directionalMove(prev, candle), 'push');
+        prev = { h: candle.h, l: candle.l, c: candle.c };
+        return value;
+      },
+      peek(candle) {
+        return prev === null ? null : step(directionalMove(prev, candle), 'peek');
+      }
+    };
+  }
+
+  function atrTracker(period, type) {
+    const ma = createMovingAverage(type, period);
+    return moveTracker((move, method) => ma[method](move.tr));
+  }
+
+  function adxTracker(period, type) {
+    const tr = createMovingAverage(type, period);
+    const plus = createMovingAverage(type, period);
+    const minus = createMovingAverage(type, period);
+    const adx = createMovingAverage(type, period);
+    return moveTracker((move, method) => {
+      const atr = tr[method](move.tr);
+      const plusDM = plus[method](move.plus);
+      const minusDM = minus[method](move.minus);
+      if (atr === null) return null;
+
+      const plusDI = atr > 0 ? (plusDM / atr) * 100 : 0;
+      const minusDI = atr > 0 ? (minusDM / atr) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+      const value = adx[method](dx);
+      return value === null ? null : { adx: value, plusDI, minusDI, dx };
+    });
+  }
+
+  function macdTracker(fastPeriod, slowPeriod, signalPeriod, type) {
+    const fast = createMovingAverage(type, fastPeriod);
+    const slow = createMovingAverage(type, slowPeriod);
+    const signal = createMovingAverage(type, signalPeriod);
+    function step(x, method) {
+      const f = fast[method](x);
+      const s = slow[method](x);
+      if (f === null || s === null) return null;
+      const macd = f - s;
+      const signalLine = signal[method](macd);
+      return signalLine === null ? null : { macd, signal: signalLine, histogram: macd - signalLine };
     }
-    
-    if (macdHistory.length < signalPeriod) return null;
-    
-    const signalLine = calculateEMA(macdHistory, signalPeriod);
-    if (!signalLine) return null;
-    
-    const histogram = macdLine - signalLine;
-    
-    return { macd: macdLine, signal: signalLine, histogram };
+    return {
+      push: candle => step(candle.c, 'push'),
+      peek: candle => step(candle.c, 'peek')
+    };
   }
 
-  function calculateBollingerBands(closes, period = 20, stdDev = 2) {
-    if (closes.length < period) return null;
-    
-    const slice = closes.slice(-period);
-    const sma = slice.reduce((a, b) => a + b, 0) / period;
-    
-    const squaredDiffs = slice.map(val => Math.pow(val - sma, 2));
-    const variance = squaredDiffs.reduce((a, b) => a + b, 0) / period;
+  // Bands around `middle` from the population deviation of the window (last value = current price)
+  function bands(values, middle, stdDev) {
+    const period = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / period;
+    const variance = values.map(val => Math.pow(val - mean, 2)).reduce((a, b) => a + b, 0) / period;
     const std = Math.sqrt(variance);
-    
-    const currentPrice = closes[closes.length - 1];
+
+    const currentPrice = values[period - 1];
     const bandwidth = 2 * std * stdDev;
-    const percentB = bandwidth > 0.0001 ? (currentPrice - (sma - std * stdDev)) / bandwidth : 0.5;
-    
+    const percentB = bandwidth > 0.0001 ? (currentPrice - (middle - std * stdDev)) / bandwidth : 0.5;
+
     return {
-      upper: sma + (std * stdDev),
-      middle: sma,
-      lower: sma - (std * stdDev),
+      upper: middle + (std * stdDev),
+      middle,
+      lower: middle - (std * stdDev),
       percentB
     };
   }
 
-  function calculateATR(highs, lows, closes, period = 14) {
-    if (highs.length < period + 1) return null;
-    
-    const trs = [];
-    for (let i = 1; i < highs.length; i++) {
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trs.push(tr);
+  function bollingerTracker(period, stdDev, type) {
+    const buffer = [];
+    const basis = createMovingAverage(type, period);
+    return {
+      push(candle) {
+        pushWindow(buffer, candle.c, period);
+        const middle = basis.push(candle.c);
+        return middle === null || buffer.length < period ? null : bands(buffer, middle, stdDev);
+      },
+      peek(candle) {
+        const middle = basis.peek(candle.c);
+        if (middle === null || buffer.length + 1 < period) return null;
+        return bands(buffer.slice(buffer.length - period + 1).concat(candle.c), middle, stdDev);
+      }
+    };
+  }
+
+  function percentK(highs, lows, close) {
+    const highestHigh = Math.max(...highs);
+    const lowestLow = Math.min(...lows);
+    return highestHigh === lowestLow ? 50 : ((close - lowestLow) / (highestHigh - lowestLow)) * 100;
+  }
+
+  function stochasticTracker(kPeriod, dPeriod, type) {
+    const highs = [];
+    const lows = [];
+    const dLine = createMovingAverage(type, dPeriod);
+    return {
+      push(candle) {
+        pushWindow(highs, candle.h, kPeriod);
+        pushWindow(lows, candle.l, kPeriod);
+        if (highs.length < kPeriod) return null;
+        const k = percentK(highs, lows, candle.c);
+        const d = dLine.push(k);
+        return d === null ? null : { k, d };
+      },
+      peek(candle) {
+        if (highs.length + 1 < kPeriod) return null;
+        const keep = highs.length - kPeriod + 1;
+        const k = percentK(highs.slice(keep).concat(candle.h), lows.slice(keep).concat(candle.l), candle.c);
+        const d = dLine.peek(k);
+        return d === null ? null : { k, d };
+      }
+    };
+  }
+
+  // Last `size` values: push(x) / peek(x) return the window ending at x (null until full, read-only)
+  function rollingWindow(size) {
+    const values = [];
+    return {
+      push(x) {
+        pushWindow(values, x, size);
+        return values.length === size ? values : null;
+      },
+      peek(x) {
+        return values.length + 1 < size ? null : values.slice(values.length - size + 1).concat(x);
+      }
+    };
+  }
+
+  // Indicators that only look at their last `period` candles: compute(highs, lows, closes)
+  function windowTracker(period, compute) {
+    const highs = [];
+    const lows = [];
+    const closes = [];
+    return {
+      push(candle) {
+        pushWindow(highs, candle.h, period);
+        pushWindow(lows, candle.l, period);
+        pushWindow(closes, candle.c, period);
+        return closes.length === period ? compute(highs, lows, closes) : null;
+      },
+      peek(candle) {
+        if (closes.length + 1 < period) return null;
+        const keep = closes.length - period + 1;
+        return compute(highs.slice(keep).concat(candle.h), lows.slice(keep).concat(candle.l), closes.slice(keep).concat(candle.c));
+      }
+    };
+  }
+
+  // ===== TREND TRACKERS =====
+
+  function midpoint(highs, lows) {
+    return (Math.max(...highs) + Math.min(...lows)) / 2;
+  }
+
+  /**
+   * Ichimoku: tenkan/kijun midpoints, the cloud under the current bar (spans projected displacement - 1
+   * bars ago, as charted) and the spans being projected now (leadA/leadB)
+   */
+  function ichimokuTracker(tenkanPeriod, kijunPeriod, senkouBPeriod, displacement) {
+    const highs = [];
+    const lows = [];
+    const projected = []; // Lines of the last `displacement` bars, newest last
+
+    function lines(hs, ls) {
+      if (hs.length < senkouBPeriod) return null;
+      const tenkan = midpoint(hs.slice(-tenkanPeriod), ls.slice(-tenkanPeriod));
+      const kijun = midpoint(hs.slice(-kijunPeriod), ls.slice(-kijunPeriod));
+      return { tenkan, kijun, leadA: (tenkan + kijun) / 2, leadB: midpoint(hs, ls) };
     }
-    
-    if (trs.length < period) return null;
-    
-    const atrSlice = trs.slice(-period);
-    return atrSlice.reduce((a, b) => a + b, 0) / period;
+
+    function output(history, close) {
+      const now = history[history.length - 1];
+      const cloud = history.length === displacement ? history[0] : null;
+      if (!now || !cloud) return null;
+      const cloudTop = Math.max(cloud.leadA, cloud.leadB);
+      const cloudBottom = Math.min(cloud.leadA, cloud.leadB);
+      return {
+        tenkan: now.tenkan,
+        kijun: now.kijun,
+        senkouA: cloud.leadA,
+        senkouB: cloud.leadB,
+        leadA: now.leadA,
+        leadB: now.leadB,
+        cloudTop,
+        cloudBottom,
+        position: close > cloudTop ? 'ABOVE' : close < cloudBottom ? 'BELOW' : 'INSIDE'
+      };
+    }
+
+    return {
+      push(candle) {
+        pushWindow(highs, candle.h, senkouBPeriod);
+        pushWindow(lows, candle.l, senkouBPeriod);
+        pushWindow(projected, lines(highs, lows), displacement);
+        return output(projected, candle.c);
+      },
+      peek(candle) {
+        const keep = Math.max(0, highs.length - senkouBPeriod + 1);
+        const now = lines(highs.slice(keep).concat(candle.h), lows.slice(keep).concat(candle.l));
+        return output(projected.slice(Math.max(0, projected.length - displacement + 1)).concat([now]), candle.c);
+      }
+    };
   }
 
-  function calculateStochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
-    if (highs.length < kPeriod + dPeriod) return null;
-    
-    const kValues = [];
-    for (let i = kPeriod - 1; i < highs.length; i++) {
-      const periodHighs = highs.slice(i - kPeriod + 1, i + 1);
-      const periodLows = lows.slice(i - kPeriod + 1, i + 1);
-      const highestHigh = Math.max(...periodHighs);
-      const lowestLow = Math.min(...periodLows);
-      const currentClose = closes[i];
-      
-      if (highestHigh === lowestLow) {
-        kValues.push(50);
+  // Wilder's Parabolic SAR; state is replaced, never mutated, so peek can reuse the step
+  function psarTracker(step, maxStep) {
+    let state = null;
+
+    function next(prev, bar) {
+      if (!prev) return { bars: 1, bar };
+      if (prev.bars === 1) {
+        const up = bar.c >= prev.bar.c;
+        return {
+          bars: 2,
+          bar,
+          prevBar: prev.bar,
+          trend: up ? 'UP' : 'DOWN',
+          sar: up ? Math.min(prev.bar.l, bar.l) : Math.max(prev.bar.h, bar.h),
+          ep: up ? Math.max(prev.bar.h, bar.h) : Math.min(prev.bar.l, bar.l),
+          af: step,
+          flipped: false
+        };
+      }
+
+      let { trend, ep, af } = prev;
+      let sar = prev.sar + af * (ep - prev.sar);
+      let flipped = false;
+      if (trend === 'UP') {
+        sar = Math.min(sar, prev.bar.l, prev.prevBar.l);
+        if (bar.l < sar) {
+          trend = 'DOWN';
+          sar = ep;
+          ep = bar.l;
+          af = step;
+          flipped = true;
+        } else if (bar.h > ep) {
+          ep = bar.h;
+          af = Math.min(af + step, maxStep);
+        }
       } else {
-        const k = ((currentClose - lowestLow) / (highestHigh - lowestLow)) * 100;
-        kValues.push(k);
+        sar = Math.max(sar, prev.bar.h, prev.prevBar.h);
+        if (bar.h > sar) {
+          trend = 'UP';
+          sar = ep;
+          ep = bar.h;
+          af = step;
+          flipped = true;
+        } else if (bar.l < ep) {
+          ep = bar.l;
+          af = Math.min(af + step, maxStep);
+        }
       }
+      return { bars: prev.bars + 1, bar, prevBar: prev.bar, trend, sar, ep, af, flipped };
     }
-    
-    if (kValues.length < dPeriod) return null;
-    
-    // Calculate %K (fast stochastic)
-    const k = kValues[kValues.length - 1];
-    
-    // Calculate %D (slow stochastic = SMA of %K)
-    const dSlice = kValues.slice(-dPeriod);
-    const d = dSlice.reduce((a, b) => a + b, 0) / dPeriod;
-    
-    return { k, d, kValues };
+
+    function output(s) {
+      return s && s.bars >= 2 ? { sar: s.sar, trend: s.trend, ep: s.ep, af: s.af, flipped: s.flipped } : null;
+    }
+
+    return {
+      push(candle) {
+        state = next(state, { h: candle.h, l: candle.l, c: candle.c });
+        return output(state);
+      },
+      peek(candle) {
+        return output(next(state, { h: candle.h, l: candle.l, c: candle.c }));
+      }
+    };
   }
 
-  function calculateADX(highs, lows, closes, period = 14) {
-    if (highs.length < period * 2) return null;
-    
-    // Calculate True Range
-    const trs = [];
-    for (let i = 1; i < highs.length; i++) {
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trs.push(tr);
+  // SuperTrend: ATR bands around hl2 that only tighten while the trend holds
+  function supertrendTracker(period, multiplier, maType) {
+    const atr = atrTracker(period, maType);
+    let state = null;
+
+    function next(prev, candle, atrValue) {
+      if (atrValue === null) return { close: candle.c };
+      const hl2 = (candle.h + candle.l) / 2;
+      let upper = hl2 + multiplier * atrValue;
+      let lower = hl2 - multiplier * atrValue;
+      let trend = 'UP';
+      if (prev && prev.trend) {
+        if (prev.close > prev.lower) lower = Math.max(lower, prev.lower);
+        if (prev.close < prev.upper) upper = Math.min(upper, prev.upper);
+        trend = prev.trend === 'DOWN' && candle.c > prev.upper ? 'UP' :
+          prev.trend === 'UP' && candle.c < prev.lower ? 'DOWN' : prev.trend;
+      }
+      return { close: candle.c, upper, lower, trend, flipped: Boolean(prev && prev.trend && prev.trend !== trend) };
     }
-    
-    // Calculate Directional Movement
-    const plusDMs = [];
-    const minusDMs = [];
-    
-    for (let i = 1; i < highs.length; i++) {
-      const upMove = highs[i] - highs[i - 1];
-      const downMove = lows[i - 1] - lows[i];
-      
-      if (upMove > downMove && upMove > 0) {
-        plusDMs.push(upMove);
-        minusDMs.push(0);
-      } else if (downMove > upMove && downMove > 0) {
-        plusDMs.push(0);
-        minusDMs.push(downMove);
-      } else {
-        plusDMs.push(0);
-        minusDMs.push(0);
+
+    function output(s) {
+      if (!s || !s.trend) return null;
+      return { value: s.trend === 'UP' ? s.lower : s.upper, trend: s.trend, upper: s.upper, lower: s.lower, flipped: s.flipped };
+    }
+
+    return {
+      push(candle) {
+        state = next(state, candle, atr.push(candle));
+        return output(state);
+      },
+      peek(candle) {
+        return output(next(state, candle, atr.peek(candle)));
       }
+    };
+  }
+
+  /**
+   * Least-squares line through the window: slope per bar (also as % of price), R², the fitted value at
+   * the last bar and a channel of `deviations` residual standard deviations around it
+   */
+  function linearRegression(values, deviations) {
+    const n = values.length;
+    let sumX = 0;
+    let sumY = 0;
+    let sumXY = 0;
+    let sumXX = 0;
+    for (let x = 0; x < n; x++) {
+      sumX += x;
+      sumY += values[x];
+      sumXY += x * values[x];
+      sumXX += x * x;
     }
-    
-    if (trs.length < period || plusDMs.length < period || minusDMs.length < period) return null;
-    
-    // Smooth the values (Wilder's smoothing)
-    let atr = trs.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    let plusDM = plusDMs.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    let minusDM = minusDMs.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    
-    for (let i = period; i < trs.length; i++) {
-      atr = (atr * (period - 1) + trs[i]) / period;
-      plusDM = (plusDM * (period - 1) + plusDMs[i]) / period;
-      minusDM = (minusDM * (period - 1) + minusDMs[i]) / period;
+    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+    const intercept = (sumY - slope * sumX) / n;
+    const meanY = sumY / n;
+
+    let ssRes = 0;
+    let ssTot = 0;
+    for (let x = 0; x < n; x++) {
+      ssRes += Math.pow(values[x] - (intercept + slope * x), 2);
+      ssTot += Math.pow(values[x] - meanY, 2);
     }
+    const value = intercept + slope * (n - 1);
+    const std = Math.sqrt(ssRes / n);
+    return {
+      slope,
+      slopePercent: value ? (slope / value) * 100 : 0,
+      intercept,
+      value,
+      r2: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+      upper: value + deviations * std,
+      lower: value - deviations * std
+    };
+  }
+
+  // ===== OSCILLATOR & CHANNEL TRACKERS =====
+
+  // Stochastic of RSI over `stochPeriod` bars, %K and %D smoothed with maType
+  function stochRsiTracker(rsiPeriod, stochPeriod, kPeriod, dPeriod, maType) {
+    const rsi = rsiTracker(rsiPeriod, DEFAULT_SMOOTHING.rsi);
+    const buffer = rollingWindow(stochPeriod);
+    const kLine = createMovingAverage(maType, kPeriod);
+    const dLine = createMovingAverage(maType, dPeriod);
+
+    function step(candle, method) {
+      const value = rsi[method](candle);
+      const values = value === null ? null : buffer[method](value);
+      if (!values) return null;
+      const lowest = Math.min(...values);
+      const highest = Math.max(...values);
+      const k = kLine[method](highest === lowest ? 50 : ((value - lowest) / (highest - lowest)) * 100);
+      const d = k === null ? null : dLine[method](k);
+      return d === null ? null : { rsi: value, k, d };
+    }
+
+    return {
+      push: candle => step(candle, 'push'),
+      peek: candle => step(candle, 'peek')
+    };
+  }
+
+  function rateOfChange(closes) {
+    const base = closes[0];
+    return base ? ((closes[closes.length - 1] - base) / base) * 100 : 0;
+  }
+
+  // TRIX: one-bar % change of a triple EMA, with an EMA signal line
+  function trixTracker(period, signalPeriod) {
+    const first = createMovingAverage('EMA', period);
+    const second = createMovingAverage('EMA', period);
+    const third = createMovingAverage('EMA', period);
+    const signal = createMovingAverage('EMA', signalPeriod);
+    let prevTriple = null;
+
+    function step(candle, method) {
+      const a = first[method](candle.c);
+      const b = a === null ? null : second[method](a);
+      const triple = b === null ? null : third[method](b);
+      const prev = prevTriple;
+      if (method === 'push') prevTriple = triple;
+      if (triple === null || !prev) return null;
+
+      const trix = ((triple - prev) / prev) * 100;
+      const signalLine = signal[method](trix);
+      return signalLine === null ? null : { trix, signal: signalLine, histogram: trix - signalLine };
+    }
+
+    return {
+      push: candle => step(candle, 'push'),
+      peek: candle => step(candle, 'peek')
+    };
+  }
+
+  // Awesome Oscillator: fast minus slow SMA of the bar midpoint
+  function awesomeTracker(fastPeriod, slowPeriod) {
+    const fast = createMovingAverage('SMA', fastPeriod);
+    const slow = createMovingAverage('SMA', slowPeriod);
+
+    function step(candle, method) {
+      const median = (candle.h + candle.l) / 2;
+      const f = fast[method](median);
+      const s = slow[method](median);
+      return f === null || s === null ? null : f - s;
+    }
+
+    return {
+      push: candle => step(candle, 'push'),
+      peek: candle => step(candle, 'peek')
+    };
+  }
+
+  // Ultimate Oscillator: buying pressure over true range on three horizons, weighted 4:2:1
+  function ultimateTracker(shortPeriod, mediumPeriod, longPeriod) {
+    const size = Math.max(shortPeriod, mediumPeriod, longPeriod);
+    const buying = rollingWindow(size);
+    const ranges = rollingWindow(size);
+
+    return moveTracker((move, method) => {
+      const bp = buying[method](move.buying);
+      const tr = ranges[method](move.tr);
+      if (!bp) return null;
+
+      const average = period => {
+        let bpSum = 0;
+        let trSum = 0;
+        for (let i = size - period; i < size; i++) {
+          bpSum += bp[i];
+          trSum += tr[i];
+        }
+        return trSum > 0 ? bpSum / trSum : 0.5;
+      };
+      return (100 * (4 * average(shortPeriod) + 2 * average(mediumPeriod) + average(longPeriod))) / 7;
+    });
+  }
+
+  // Keltner Channels: moving average of closes +/- multiplier x ATR
+  function keltnerTracker(period, multiplier, atrPeriod, maType) {
+    const middle = maTracker(period, maType);
+    const atr = atrTracker(atrPeriod, DEFAULT_SMOOTHING.atr);
+
+    function step(candle, method) {
+      const mid = middle[method](candle);
+      const atrValue = atr[method](candle);
+      if (mid === null || atrValue === null) return null;
+      return { upper: mid + multiplier * atrValue, middle: mid, lower: mid - multiplier * atrValue };
+    }
+
+    return {
+      push: candle => step(candle, 'push'),
+      peek: candle => step(candle, 'peek')
+    };
+  }
+
+  // Donchian Channels: highest high / lowest low of the window (including the current bar)
+  function donchianChannel(highs, lows) {
+    const upper = Math.max(...highs);
+    const lower = Math.min(...lows);
+    return { upper, middle: (upper + lower) / 2, lower };
+  }
+
+  /**
+   * Bollinger bandwidth ((upper - lower) / middle) and its percentile rank among the last `lookback`
+   * bandwidths: low percentiles mean the bands are tight for this asset, whatever its usual volatility
+   */
+  function bandwidthTracker(period, stdDev, lookback, maType) {
+    const bollinger = bollingerTracker(period, stdDev, maType);
+    const history = rollingWindow(lookback);
+
+    function step(candle, method) {
+      const bb = bollinger[method](candle);
+      if (!bb || !bb.middle) return null;
+      const bandwidth = (bb.upper - bb.lower) / bb.middle;
+      const values = history[method](bandwidth);
+      if (!values) return null;
+      const below = values.reduce((count, value) => count + (value <= bandwidth ? 1 : 0), 0);
+      return { bandwidth, percentile: (below / values.length) * 100 };
+    }
+
+    return {
+      push: candle => step(candle, 'push'),
+      peek: candle => step(candle, 'peek')
+    };
+  }
+
+  /**
+   * Choppiness index over a window of period + 1 bars (the first only supplies the previous close):
+   * 100 * log10(sum of true ranges / high-low span) / log10(period). Near 100 = choppy, below ~38 = trending
+   */
+  function choppinessIndex(highs, lows, closes) {
+    const period = closes.length - 1;
+    let trueRanges = 0;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let i = 1; i <= period; i++) {
+      trueRanges += Math.max(highs[i], closes[i - 1]) - Math.min(lows[i], closes[i - 1]);
+      highest = Math.max(highest, highs[i]);
+      lowest = Math.min(lowest, lows[i]);
+    }
+    const span = highest - lowest;
+    if (span <= 0 || trueRanges <= 0) return 100;
+    return Math.min(100, Math.max(0, (100 * Math.log10(trueRanges / span)) / Math.log10(period)));
+  }
+
+  /**
+   * Kaufman efficiency ratio: net move / total bar-to-bar movement over the window (0 = noise, 1 = straight line)
+   */
+  function efficiencyRatio(closes) {
+    let path = 0;
+    for (let i = 1; i < closes.length; i++) path += Math.abs(closes[i] - closes[i - 1]);
+    return path > 0 ? Math.abs(closes[closes.length - 1] - closes[0]) / path : 0;
+  }
+
+  // name -> tracker factory, with the default arguments every entry point shares
+  const TRACKERS = {
+    ma: { defaults: [20, 'SMA'], create: (period, type) => maTracker(period, type) },
+    sma: { defaults: [20], create: period => maTracker(period, 'SMA') },
+    ema: { defaults: [20], create: period => maTracker(period, 'EMA') },
+    rsi: { defaults: [14, DEFAULT_SMOOTHING.rsi], create: rsiTracker },
+    macd: { defaults: [12, 26, 9, DEFAULT_SMOOTHING.macd], create: macdTracker, fields: ['macd', 'signal', 'histogram'] },
+    bollinger: { defaults: [20, 2, DEFAULT_SMOOTHING.bollinger], create: bollingerTracker, fields: ['upper', 'middle', 'lower', 'percentB'] },
+    atr: { defaults: [14, DEFAULT_SMOOTHING.atr], create: atrTracker },
+    stochastic: { defaults: [14, 3, DEFAULT_SMOOTHING.stochastic], create: stochasticTracker, fields: ['k', 'd'] },
+    adx: { defaults: [14, DEFAULT_SMOOTHING.adx], create: adxTracker, fields: ['adx', 'plusDI', 'minusDI', 'dx'] },
+    cci: { defaults: [20], create: period => windowTracker(period, (h, l, c) => calculateCCI(h, l, c, period)) },
+    williamsR: { defaults: [14], create: period => windowTracker(period, (h, l, c) => calculateWilliamsR(h, l, c, period)) },
+    ichimoku: {
+      defaults: [9, 26, 52, 26],
+      create: ichimokuTracker,
+      fields: ['tenkan', 'kijun', 'senkouA', 'senkouB', 'leadA', 'leadB', 'cloudTop', 'cloudBottom', 'position']
+    },
+    psar: { defaults: [0.02, 0.2], create: psarTracker, fields: ['sar', 'trend', 'ep', 'af', 'flipped'] },
+    supertrend: { defaults: [10, 3, DEFAULT_SMOOTHING.atr], create: supertrendTracker, fields: ['value', 'trend', 'upper', 'lower', 'flipped'] },
+    linreg: {
+      defaults: [20, 2],
+      create: (period, deviations) => windowTracker(period, (h, l, c) => linearRegression(c, deviations)),
+      fields: ['slope', 'slopePercent', 'intercept', 'value', 'r2', 'upper', 'lower']
+    },
+    stochRsi: { defaults: [14, 14, 3, 3, DEFAULT_SMOOTHING.stochastic], create: stochRsiTracker, fields: ['rsi', 'k', 'd'] },
+    roc: { defaults: [12], create: period => windowTracker(period + 1, (h, l, c) => rateOfChange(c)) },
+    trix: { defaults: [15, 9], create: trixTracker, fields: ['trix', 'signal', 'histogram'] },
+    awesome: { defaults: [5, 34], create: awesomeTracker },
+    ultimate: { defaults: [7, 14, 28], create: ultimateTracker },
+    keltner: { defaults: [20, 2, 10, DEFAULT_SMOOTHING.keltner], create: keltnerTracker, fields: ['upper', 'middle', 'lower'] },
+    donchian: { defaults: [20], create: period => windowTracker(period, donchianChannel), fields: ['upper', 'middle', 'lower'] },
+    bandwidth: { defaults: [20, 2, 100, DEFAULT_SMOOTHING.bollinger], create: bandwidthTracker, fields: ['bandwidth', 'percentile'] },
+    choppiness: { defaults: [14], create: period => windowTracker(period + 1, choppinessIndex) },
+    efficiency: { defaults: [10], create: period => windowTracker(period + 1, (h, l, c) => efficiencyRatio(c)) }
+  };
+
+  function withDefaults(name, args) {
+    return TRACKERS[name].defaults.map((value, i) => (args[i] !== undefined ? args[i] : value));
+  }
+
+  function candleAt(highs, lows, closes, i) {
+    return { h: highs[i], l: lows[i], c: closes[i] };
+  }
+
+  // Latest value of a tracker run over whole columns
+  function runTracker(tracker, highs, lows, closes) {
+    let value = null;
+    for (let i = 0; i < closes.length; i++) value = tracker.push(candleAt(highs, lows, closes, i));
+    return value;
+  }
+
+  // Aligned outputs of a tracker run over whole columns; object outputs are split into one array per field
+  function trackSeries(name, args, highs, lows, closes) {
+    const { create, fields } = TRACKERS[name];
+    const tracker = create(...withDefaults(name, args));
+    const values = [];
+    for (let i = 0; i < closes.length; i++) values.push(tracker.push(candleAt(highs, lows, closes, i)));
+    return fields ? splitFields(values, fields) : values;
+  }
+
+  function splitFields(values, fields) {
+    const out = {};
+    for (const field of fields) out[field] = values.map(v => (v ? v[field] : null));
+    return out;
+  }
+
+  // ===== LATEST VALUES (reference path) =====
+
+  function calculateSMA(data, period) {
+    if (data.length < period) return null;
+    const slice = view(data, -period);
+    return slice.reduce((sum, val) => sum + val, 0) / period;
+  }
+
+  function calculateEMA(data, period) {
+    if (data.length < period) return null;
     
-    // Calculate DI+ and DI-
-    const plusDI = atr > 0 ? (plusDM / atr) * 100 : 0;
-    const minusDI = atr > 0 ? (minusDM / atr) * 100 : 0;
-    
-    // Calculate DX
-    const diSum = plusDI + minusDI;
-    const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+    const multiplier = 2 / (period + 1);
+    let ema = view(data, 0, period).reduce((sum, val) => sum + val, 0) / period;
     
-    // ADX is smoothed DX (simplified - using current DX as approximation)
-    // In full implementation, ADX would be smoothed over multiple periods
-    const adx = dx;
+    for (let i = period; i < data.length; i++) {
+      ema = (data[i] - ema) * multiplier + ema;
+    }
     
-    return { adx, plusDI, minusDI, dx };
+    return ema;
+  }
+
+  /**
+   * Moving average of any MA_TYPES type
+   */
+  function calculateMA(data, period, type = 'SMA') {
+    if (data.length < period) return null;
+    if (type === 'SMA') return calculateSMA(data, period);
+    if (type === 'EMA') return calculateEMA(data, period);
+    const ma = createMovingAverage(type, period);
+    let value = null;
+    for (let i = 0; i < data.length; i++) value = ma.push(data[i]);
+    return value;
+  }
+
+  function calculateRSI(closes, period = 14, maType = DEFAULT_SMOOTHING.rsi) {
+    if (closes.length < period + 1) return null;
+    return runTracker(rsiTracker(period, maType), closes, closes, closes);
+  }
+
+  function calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, maType = DEFAULT_SMOOTHING.macd) {
+    return runTracker(macdTracker(fastPeriod, slowPeriod, signalPeriod, maType), closes, closes, closes);
+  }
+
+  function calculateBollingerBands(closes, period = 20, stdDev = 2, maType = DEFAULT_SMOOTHING.bollinger) {
+    if (closes.length < period) return null;
+    const values = Array.from(view(closes, -period));
+    const middle = maType === 'SMA' ? calculateSMA(values, period) : calculateMA(closes, period, maType);
+    return middle === null ? null : bands(values, middle, stdDev);
+  }
+
+  function calculateATR(highs, lows, closes, period = 14, maType = DEFAULT_SMOOTHING.atr) {
+    if (highs.length < period + 1) return null;
+    return runTracker(atrTracker(period, maType), highs, lows, closes);
+  }
+
+  function calculateStochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3, maType = DEFAULT_SMOOTHING.stochastic) {
+    return runTracker(stochasticTracker(kPeriod, dPeriod, maType), highs, lows, closes);
+  }
+
+  /**
+   * ADX with +DI/-DI: TR and directional movement smoothed over `period`, then DX smoothed into ADX
+   */
+  function calculateADX(highs, lows, closes, period = 14, maType = DEFAULT_SMOOTHING.adx) {
+    return runTracker(adxTracker(period, maType), highs, lows, closes);
+  }
+
+  function calculateIchimoku(highs, lows, closes, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = 26) {
+    return runTracker(ichimokuTracker(tenkanPeriod, kijunPeriod, senkouBPeriod, displacement), highs, lows, closes);
+  }
+
+  function calculateParabolicSAR(highs, lows, closes, step = 0.02, maxStep = 0.2) {
+    return runTracker(psarTracker(step, maxStep), highs, lows, closes);
+  }
+
+  function calculateSuperTrend(highs, lows, closes, period = 10, multiplier = 3, maType = DEFAULT_SMOOTHING.atr) {
+    return runTracker(supertrendTracker(period, multiplier, maType), highs, lows, closes);
+  }
+
+  function calculateLinearRegression(closes, period = 20, deviations = 2) {
+    if (closes.length < period) return null;
+    return linearRegression(Array.from(view(closes, -period)), deviations);
+  }
+
+  /**
+   * Stochastic RSI: { rsi, k, d } on a 0-100 scale
+   */
+  function calculateStochRSI(closes, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3, maType = DEFAULT_SMOOTHING.stochastic) {
+    return runTracker(stochRsiTracker(rsiPeriod, stochPeriod, kPeriod, dPeriod, maType), closes, closes, closes);
+  }
+
+  /**
+   * Rate of change: % move over the last `period` bars
+   */
+  function calculateROC(closes, period = 12) {
+    if (closes.length < period + 1) return null;
+    return rateOfChange(view(closes, -(period + 1)));
+  }
+
+  function calculateTRIX(closes, period = 15, signalPeriod = 9) {
+    return runTracker(trixTracker(period, signalPeriod), closes, closes, closes);
+  }
+
+  function calculateAwesomeOscillator(highs, lows, fastPeriod = 5, slowPeriod = 34) {
+    return runTracker(awesomeTracker(fastPeriod, slowPeriod), highs, lows, lows);
+  }
+
+  function calculateUltimateOscillator(highs, lows, closes, shortPeriod = 7, mediumPeriod = 14, longPeriod = 28) {
+    return runTracker(ultimateTracker(shortPeriod, mediumPeriod, longPeriod), highs, lows, closes);
+  }
+
+  function calculateKeltnerChannels(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10, maType = DEFAULT_SMOOTHING.keltner) {
+    return runTracker(keltnerTracker(period, multiplier, atrPeriod, maType), highs, lows, closes);
+  }
+
+  function calculateDonchianChannels(highs, lows, period = 20) {
+    if (highs.length < period) return null;
+    return donchianChannel(view(highs, -period), view(lows, -period));
+  }
+
+  function calculateBandwidthPercentile(closes, period = 20, stdDev = 2, lookback = 100, maType = DEFAULT_SMOOTHING.bollinger) {
+    return runTracker(bandwidthTracker(period, stdDev, lookback, maType), closes, closes, closes);
+  }
+
+  function calculateChoppiness(highs, lows, closes, period = 14) {
+    if (closes.length < period + 1) return null;
+    return choppinessIndex(view(highs, -(period + 1)), view(lows, -(period + 1)), view(closes, -(period + 1)));
+  }
+
+  function calculateEfficiencyRatio(closes, period = 10) {
+    if (closes.length < period + 1) return null;
+    return efficiencyRatio(view(closes, -(period + 1)));
   }
 
   function calculateCCI(highs, lows, closes, period = 20) {
@@ -250,9 +942,9 @@ window.TechnicalIndicators = (function() {
   function calculateWilliamsR(highs, lows, closes, period = 14) {
     if (highs.length < period) return null;
     
-    const slice = highs.slice(-period);
+    const slice = view(highs, -period);
     const highestHigh = Math.max(...slice);
-    const lowestLow = Math.min(...lows.slice(-period));
+    const lowestLow = Math.min(...view(lows, -period));
     const currentClose = closes[closes.length - 1];
     
     if (highestHigh === lowestLow) return -50;
@@ -262,94 +954,630 @@ window.TechnicalIndicators = (function() {
     return williamsR;
   }
 
+  // ===== SERIES VARIANTS =====
+  // Aligned with the input: series[i] is what the latest-value function returns for data[0..i]
+  // (null during warm-up), computed in one pass instead of once per bar.
+
+  function calculateSMASeries(data, period) {
+    return trackSeries('sma', [period], data, data, data);
+  }
+
+  function calculateEMASeries(data, period) {
+    return trackSeries('ema', [period], data, data, data);
+  }
+
+  function calculateMASeries(data, period, type = 'SMA') {
+    return trackSeries('ma', [period, type], data, data, data);
+  }
+
+  function calculateRSISeries(closes, period, maType) {
+    return trackSeries('rsi', [period, maType], closes, closes, closes);
+  }
+
+  function calculateMACDSeries(closes, fastPeriod, slowPeriod, signalPeriod, maType) {
+    return trackSeries('macd', [fastPeriod, slowPeriod, signalPeriod, maType], closes, closes, closes);
+  }
+
+  function calculateBollingerBandsSeries(closes, period, stdDev, maType) {
+    return trackSeries('bollinger', [period, stdDev, maType], closes, closes, closes);
+  }
+
+  function calculateATRSeries(highs, lows, closes, period, maType) {
+    return trackSeries('atr', [period, maType], highs, lows, closes);
+  }
+
+  function calculateStochasticSeries(highs, lows, closes, kPeriod, dPeriod, maType) {
+    return trackSeries('stochastic', [kPeriod, dPeriod, maType], highs, lows, closes);
+  }
+
+  function calculateADXSeries(highs, lows, closes, period, maType) {
+    return trackSeries('adx', [period, maType], highs, lows, closes);
+  }
+
+  function calculateCCISeries(highs, lows, closes, period) {
+    return trackSeries('cci', [period], highs, lows, closes);
+  }
+
+  function calculateWilliamsRSeries(highs, lows, closes, period) {
+    return trackSeries('williamsR', [period], highs, lows, closes);
+  }
+
+  function calculateIchimokuSeries(highs, lows, closes, tenkanPeriod, kijunPeriod, senkouBPeriod, displacement) {
+    return trackSeries('ichimoku', [tenkanPeriod, kijunPeriod, senkouBPeriod, displacement], highs, lows, closes);
+  }
+
+  function calculateParabolicSARSeries(highs, lows, closes, step, maxStep) {
+    return trackSeries('psar', [step, maxStep], highs, lows, closes);
+  }
+
+  function calculateSuperTrendSeries(highs, lows, closes, period, multiplier, maType) {
+    return trackSeries('supertrend', [period, multiplier, maType], highs, lows, closes);
+  }
+
+  function calculateLinearRegressionSeries(closes, period, deviations) {
+    return trackSeries('linreg', [period, deviations], closes, closes, closes);
+  }
+
+  function calculateStochRSISeries(closes, rsiPeriod, stochPeriod, kPeriod, dPeriod, maType) {
+    return trackSeries('stochRsi', [rsiPeriod, stochPeriod, kPeriod, dPeriod, maType], closes, closes, closes);
+  }
+
+  function calculateROCSeries(closes, period) {
+    return trackSeries('roc', [period], closes, closes, closes);
+  }
+
+  function calculateTRIXSeries(closes, period, signalPeriod) {
+    return trackSeries('trix', [period, signalPeriod], closes, closes, closes);
+  }
+
+  function calculateAwesomeOscillatorSeries(highs, lows, fastPeriod, slowPeriod) {
+    return trackSeries('awesome', [fastPeriod, slowPeriod], highs, lows, lows);
+  }
+
+  function calculateUltimateOscillatorSeries(highs, lows, closes, shortPeriod, mediumPeriod, longPeriod) {
+    return trackSeries('ultimate', [shortPeriod, mediumPeriod, longPeriod], highs, lows, closes);
+  }
+
+  function calculateKeltnerChannelsSeries(highs, lows, closes, period, multiplier, atrPeriod, maType) {
+    return trackSeries('keltner', [period, multiplier, atrPeriod, maType], highs, lows, closes);
+  }
+
+  function calculateDonchianChannelsSeries(highs, lows, period) {
+    return trackSeries('donchian', [period], highs, lows, lows);
+  }
+
+  function calculateBandwidthPercentileSeries(closes, period, stdDev, lookback, maType) {
+    return trackSeries('bandwidth', [period, stdDev, lookback, maType], closes, closes, closes);
+  }
+
+  function calculateChoppinessSeries(highs, lows, closes, period) {
+    return trackSeries('choppiness', [period], highs, lows, closes);
+  }
+
+  function calculateEfficiencyRatioSeries(closes, period) {
+    return trackSeries('efficiency', [period], closes, closes, closes);
+  }
+
+  // ===== SERIES HELPERS =====
+  // Series are aligned arrays that may start with nulls; b may also be a constant level.
+
+  function valueAt(series, i) {
+    return typeof series === 'number' ? series : series[i];
+  }
+
+  /**
+   * 1 where a crosses above b on that bar, -1 where it crosses below, 0 otherwise
+   */
+  function crossSeries(a, b) {
+    const out = new Array(a.length).fill(0);
+    for (let i = 1; i < a.length; i++) {
+      const a0 = a[i - 1];
+      const a1 = a[i];
+      const b0 = valueAt(b, i - 1);
+      const b1 = valueAt(b, i);
+      if (a0 === null || a1 === null || b0 === null || b1 === null) continue;
+      if (a0 <= b0 && a1 > b1) out[i] = 1;
+      else if (a0 >= b0 && a1 < b1) out[i] = -1;
+    }
+    return out;
+  }
+
+  function crossedWithin(a, b, within, direction) {
+    for (let i = a.length - 1; i >= Math.max(1, a.length - within); i--) {
+      const a0 = a[i - 1];
+      const a1 = a[i];
+      const b0 = valueAt(b, i - 1);
+      const b1 = valueAt(b, i);
+      if (a0 === null || a1 === null || b0 === null || b1 === null) return false;
+      if (direction > 0 ? a0 <= b0 && a1 > b1 : a0 >= b0 && a1 < b1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * True if a crossed above b on one of the last `within` bars
+   */
+  function crossesAbove(a, b, within = 1) {
+    return crossedWithin(a, b, within, 1);
+  }
+
+  /**
+   * True if a crossed below b on one of the last `within` bars
+   */
+  function crossesBelow(a, b, within = 1) {
+    return crossedWithin(a, b, within, -1);
+  }
+
+  /**
+   * Bars since the latest bar where predicate(value, index) held (0 = last bar), null if never
+   */
+  function barsSince(series, predicate = Boolean) {
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (predicate(series[i], i)) return series.length - 1 - i;
+    }
+    return null;
+  }
+
+  /**
+   * Least-squares slope per bar of the last `length` values (null while any of them is missing)
+   */
+  function slope(series, length = 5) {
+    if (series.length < length || length < 2) return null;
+    const start = series.length - length;
+    let sumX = 0;
+    let sumY = 0;
+    let sumXY = 0;
+    let sumXX = 0;
+    for (let x = 0; x < length; x++) {
+      const y = series[start + x];
+      if (y === null || y === undefined) return null;
+      sumX += x;
+      sumY += y;
+      sumXY += x * y;
+      sumXX += x * x;
+    }
+    return (length * sumXY - sumX * sumY) / (length * sumXX - sumX * sumX);
+  }
+
+  // ===== SWING PIVOTS =====
+
+  /**
+   * Swing highs/lows from `from` on: a bar whose high (low) beats the `left` bars before it and is not
+   * beaten by the `right` bars after it. Returns { highs: [{ index, price }], lows: [...] }, oldest first.
+   */
+  function findPivots(candles, left = 3, right = 3, from = 0) {
+    const highs = [];
+    const lows = [];
+    for (let i = Math.max(from, left); i < candles.length - right; i++) {
+      const bar = candles[i];
+      let isHigh = true;
+      let isLow = true;
+      for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+        if (j === i) continue;
+        // Flat tops/bottoms resolve to their first bar
+        const other = candles[j];
+        if (j < i ? other.h >= bar.h : other.h > bar.h) isHigh = false;
+        if (j < i ? other.l <= bar.l : other.l < bar.l) isLow = false;
+      }
+      if (isHigh) highs.push({ index: i, price: bar.h });
+      if (isLow) lows.push({ index: i, price: bar.l });
+    }
+    return { highs, lows };
+  }
+
+  // ===== CANDLESTICK PATTERNS =====
+
+  const PATTERN_TREND_BARS = 10; // Bars before a pattern that define the trend it formed in
+  const PATTERN_TREND_ATR = 1;   // Net move over those bars (x ATR) that counts as a trend
+
+  function body(candle) {
+    return Math.abs(candle.c - candle.o);
+  }
+
+  function range(candle) {
+    return Math.max(MIN_CANDLE_RANGE, candle.h - candle.l);
+  }
+
+  function upperWick(candle) {
+    return candle.h - Math.max(candle.o, candle.c);
+  }
+
+  function lowerWick(candle) {
+    return Math.min(candle.o, candle.c) - candle.l;
+  }
+
+  const isBull = candle => candle.c > candle.o;
+  const isBear = candle => candle.c < candle.o;
+  const isSolid = candle => body(candle) >= range(candle) * 0.5;
+
+  // test() gets the pattern's last `bars` candles, oldest first. base = reliability before context;
+  // REVERSAL patterns want a prior trend to reverse, CONTINUATION ones a trend in their direction.
+  const CANDLE_PATTERNS = [
+    { name: 'DOJI', bias: null, type: 'NEUTRAL', bars: 1, base: 0.3, test: ([c]) => body(c) / range(c) < 0.1 },
+    {
+      name: 'HAMMER', bias: 'BULLISH', type: 'REVERSAL', bars: 1, base: 0.6,
+      test: ([c]) => body(c) / range(c) < 0.3 && lowerWick(c) > upperWick(c) * 2 && lowerWick(c) > body(c) * 1.5
+    },
+    {
+      name: 'SHOOTING_STAR', bias: 'BEARISH', type: 'REVERSAL', bars: 1, base: 0.6,
+      test: ([c]) => body(c) / range(c) < 0.3 && upperWick(c) > lowerWick(c) * 2 && upperWick(c) > body(c) * 1.5
+    },
+    // Pin bars: a long nose poking past the previous bar, body back inside it
+    {
+      name: 'BULLISH_PIN_BAR', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.55,
+      test: ([p, c]) => lowerWick(c) >= range(c) * 0.66 && c.l < p.l && Math.min(c.o, c.c) > p.l
+    },
+    {
+      name: 'BEARISH_PIN_BAR', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.55,
+      test: ([p, c]) => upperWick(c) >= range(c) * 0.66 && c.h > p.h && Math.max(c.o, c.c) < p.h
+    },
+    {
+      name: 'BULLISH_ENGULFING', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.75,
+      test: ([p, c]) => isBull(c) && isBear(p) && c.c >= p.o && c.o <= p.c
+    },
+    {
+      name: 'BEARISH_ENGULFING', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.75,
+      test: ([p, c]) => isBear(c) && isBull(p) && c.o >= p.c && c.c <= p.o
+    },
+    {
+      name: 'BULLISH_HARAMI', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.45,
+      test: ([p, c]) => isBear(p) && isSolid(p) && isBull(c) && c.c <= p.o && c.o >= p.c && body(c) <= body(p) * 0.5
+    },
+    {
+      name: 'BEARISH_HARAMI', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.45,
+      test: ([p, c]) => isBull(p) && isSolid(p) && isBear(c) && c.o <= p.c && c.c >= p.o && body(c) <= body(p) * 0.5
+    },
+    {
+      name: 'PIERCING_LINE', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.6,
+      test: ([p, c]) => isBear(p) && isSolid(p) && isBull(c) && c.o <= p.c && c.c > (p.o + p.c) / 2 && c.c < p.o
+    },
+    {
+      name: 'DARK_CLOUD_COVER', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.6,
+      test: ([p, c]) => isBull(p) && isSolid(p) && isBear(c) && c.o >= p.c && c.c < (p.o + p.c) / 2 && c.c > p.o
+    },
+    {
+      name: 'TWEEZER_BOTTOM', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.5,
+      test: ([p, c]) => isBear(p) && isBull(c) && Math.abs(p.l - c.l) <= Math.max(range(p), range(c)) * 0.05
+    },
+    {
+      name: 'TWEEZER_TOP', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.5,
+      test: ([p, c]) => isBull(p) && isBear(c) && Math.abs(p.h - c.h) <= Math.max(range(p), range(c)) * 0.05
+    },
+    {
+      name: 'MORNING_STAR', bias: 'BULLISH', type: 'REVERSAL', bars: 3, base: 0.8,
+      test: ([a, b, c]) => b.c < a.c && b.o < a.c && body(b) / range(b) < 0.3 && c.c > a.o
+    },
+    {
+      name: 'EVENING_STAR', bias: 'BEARISH', type: 'REVERSAL', bars: 3, base: 0.8,
+      test: ([a, b, c]) => b.c > a.c && b.o > a.c && body(b) / range(b) < 0.3 && c.c < a.o
+    },
+    // Three solid bars in a row, each opening inside the previous body and closing further on
+    {
+      name: 'THREE_WHITE_SOLDIERS', bias: 'BULLISH', type: 'REVERSAL', bars: 3, base: 0.7,
+      test: ([a, b, c]) => [a, b, c].every(x => isBull(x) && isSolid(x)) && b.c > a.c && c.c > b.c &&
+        b.o >= a.o && b.o <= a.c && c.o >= b.o && c.o <= b.c
+    },
+    {
+      name: 'THREE_BLACK_CROWS', bias: 'BEARISH', type: 'REVERSAL', bars: 3, base: 0.7,
+      test: ([a, b, c]) => [a, b, c].every(x => isBear(x) && isSolid(x)) && b.c < a.c && c.c < b.c &&
+        b.o <= a.o && b.o >= a.c && c.o <= b.o && c.o >= b.c
+    },
+    {
+      name: 'BULLISH_MARUBOZU', bias: 'BULLISH', type: 'CONTINUATION', bars: 1, base: 0.5,
+      test: ([c]) => isBull(c) && body(c) >= range(c) * 0.9
+    },
+    {
+      name: 'BEARISH_MARUBOZU', bias: 'BEARISH', type: 'CONTINUATION', bars: 1, base: 0.5,
+      test: ([c]) => isBear(c) && body(c) >= range(c) * 0.9
+    },
+    { name: 'INSIDE_BAR', bias: null, type: 'NEUTRAL', bars: 2, base: 0.3, test: ([p, c]) => c.h < p.h && c.l > p.l },
+    {
+      name: 'BULLISH_OUTSIDE_BAR', bias: 'BULLISH', type: 'REVERSAL', bars: 2, base: 0.45,
+      test: ([p, c]) => c.h > p.h && c.l < p.l && isBull(c) && c.c > (c.h + c.l) / 2
+    },
+    {
+      name: 'BEARISH_OUTSIDE_BAR', bias: 'BEARISH', type: 'REVERSAL', bars: 2, base: 0.45,
+      test: ([p, c]) => c.h > p.h && c.l < p.l && isBear(c) && c.c < (c.h + c.l) / 2
+    }
+  ];
+
+  // Net move over the PATTERN_TREND_BARS closes before `end`: 'UP', 'DOWN', 'FLAT' (null without history)
+  function priorTrend(candles, end, atr) {
+    if (!atr || end - 1 - PATTERN_TREND_BARS < 0) return null;
+    const move = candles[end - 1].c - candles[end - 1 - PATTERN_TREND_BARS].c;
+    if (move > atr * PATTERN_TREND_ATR) return 'UP';
+    if (move < -atr * PATTERN_TREND_ATR) return 'DOWN';
+    return 'FLAT';
+  }
+
+  // Where the last candle sits: 'LOWER_BAND' / 'UPPER_BAND' when it reaches a Bollinger band, else vs EMA21
+  function patternLocation(candles, ind) {
+    const bb = ind.bollinger(20, 2);
+    const ema21 = ind.ema(21);
+    if (!bb || !ema21) return null;
+    const last = candles[candles.length - 1];
+    if (last.l <= bb.lower) return 'LOWER_BAND';
+    if (last.h >= bb.upper) return 'UPPER_BAND';
+    return last.c >= ema21 ? 'ABOVE_EMA' : 'BELOW_EMA';
+  }
+
+  const LOCATION_MULTIPLIERS = {
+    // Bullish reversals want the lower band / below EMA21; bearish ones the mirror (looked up flipped)
+    REVERSAL: { LOWER_BAND: 1.25, BELOW_EMA: 1.1, ABOVE_EMA: 0.9, UPPER_BAND: 0.7 },
+    CONTINUATION: { LOWER_BAND: 0.9, BELOW_EMA: 0.9, ABOVE_EMA: 1.1, UPPER_BAND: 1 }
+  };
+  const MIRRORED_LOCATION = { LOWER_BAND: 'UPPER_BAND', UPPER_BAND: 'LOWER_BAND', BELOW_EMA: 'ABOVE_EMA', ABOVE_EMA: 'BELOW_EMA' };
+
+  function contextMultiplier(pattern, trend, location) {
+    if (!pattern.bias || pattern.type === 'NEUTRAL') return 1;
+    const bullish = pattern.bias === 'BULLISH';
+    const against = bullish ? 'DOWN' : 'UP';
+    const along = bullish ? 'UP' : 'DOWN';
+
+    let multiplier = 1;
+    if (trend && pattern.type === 'REVERSAL') {
+      multiplier = trend === against ? 1.2 : trend === 'FLAT' ? 0.8 : 0.5;
+    } else if (trend && pattern.type === 'CONTINUATION') {
+      multiplier = trend === along ? 1.2 : trend === 'FLAT' ? 0.9 : 0.6;
+    }
+    if (location) {
+      multiplier *= LOCATION_MULTIPLIERS[pattern.type][bullish ? location : MIRRORED_LOCATION[location]];
+    }
+    return multiplier;
+  }
+
   /**
-   * Lightweight candlestick pattern detector (last 2-3 candles)
-   * Returns detected pattern names, directional bias, and a confidence score (0-1)
+   * Candlestick patterns on the last 1-3 candles, each scored against the trend it formed in and where the
+   * last candle sits versus Bollinger Bands/EMA21 (pass the whole history so that context exists).
+   * Returns { patterns (names), bias, score 0-1, details: [{ name, bias, type, strength, trend }],
+   * context: { trend, location } }
    */
   function detectCandlestickPatterns(candles) {
     if (!candles || candles.length < 2) {
-      return { patterns: [], bias: null, score: 0 };
+      return { patterns: [], bias: null, score: 0, details: [], context: { trend: null, location: null } };
     }
 
-    const recent = candles.slice(-3);
-    const last = recent[recent.length - 1];
-    const prev = recent[recent.length - 2];
+    const n = candles.length;
+    const ind = indicatorsFor(candles);
+    const atr = ind.atr(14);
+    const location = patternLocation(candles, ind);
 
-    const patterns = [];
-    let biasScore = 0;
-    let bias = null;
+    const details = [];
+    for (const pattern of CANDLE_PATTERNS) {
+      if (n < pattern.bars) continue;
+      const bars = [];
+      for (let i = n - pattern.bars; i < n; i++) bars.push(candles[i]);
+      if (!pattern.test(bars)) continue;
 
-    function body(candle) {
-      return Math.abs(candle.c - candle.o);
+      const trend = priorTrend(candles, n - pattern.bars, atr);
+      details.push({
+        name: pattern.name,
+        bias: pattern.bias,
+        type: pattern.type,
+        strength: Math.min(1, pattern.base * contextMultiplier(pattern, trend, location)),
+        trend
+      });
     }
 
-    function range(candle) {
-      return Math.max(MIN_CANDLE_RANGE, candle.h - candle.l);
+    const net = details.reduce((sum, d) => sum + (d.bias === 'BULLISH' ? d.strength : d.bias === 'BEARISH' ? -d.strength : 0), 0);
+    const bias = net > 0 ? 'BULLISH' : net < 0 ? 'BEARISH' : null;
+
+    // Strongest pattern behind the bias, plus a bonus for each other one agreeing with it
+    const agreeing = details.filter(d => !bias || d.bias === bias).sort((a, b) => b.strength - a.strength);
+    const score = agreeing.length ? Math.min(1, agreeing[0].strength + THRESHOLDS.PATTERN_SCORE_PER_MATCH * (agreeing.length - 1)) : 0;
+
+    return {
+      patterns: details.map(d => d.name),
+      bias,
+      score,
+      details,
+      context: { trend: priorTrend(candles, n - 1, atr), location }
+    };
+  }
+
+  /**
+   * Data holes in the last `lookback` candles: synthetic (gap-filled) candles and
+   * unfilled breaks where consecutive candles are more than one interval apart
+   */
+  function analyzeGaps(candles, lookback = 50, interval = 60000) {
+    const result = { synthetic: 0, breaks: 0, missingCandles: 0, candlesSinceBreak: 0, hasHoles: false };
+    if (!candles || candles.length === 0) return result;
+
+    const start = Math.max(0, candles.length - lookback);
+    result.candlesSinceBreak = candles.length - start;
+    for (let i = start; i < candles.length; i++) {
+      if (candles[i].synthetic) result.synthetic++;
+      if (i === 0) continue;
+      const missing = Math.round((candles[i].t - candles[i - 1].t) / interval) - 1;
+      if (missing > 0) {
+        result.breaks++;
+        result.missingCandles += missing;
+        result.candlesSinceBreak = candles.length - i;
+      }
     }
+    result.hasHoles = result.breaks > 0 || result.synthetic > 0;
+    return result;
+  }
+
+  // ===== STREAMING ENGINE =====
+  // Each requested indicator keeps a tracker fed with closed candles and peeks the forming (last)
+  // candle on top of it, so a tick costs O(1) in the history length. The calculate* functions run
+  // the same trackers over whole arrays and stay the reference: values are identical until the
+  // buffer starts evicting its oldest candles, after which recursive averages differ from a
+  // recomputation over the shortened history by float noise.
+
+  /**
+   * Incremental indicators over a candle array that only grows at the end (a CircularBuffer's rows,
+   * an aggregated series). Closed candles are folded in as they appear; the last candle is treated as
+   * forming and every value is memoised until its time or OHLC changes.
+   */
+  function createEngine(candles) {
+    let entries = new Map(); // 'name:args' -> { name, args, tracker, history }
+    let lastCommittedT = null;
+    let memo = new Map();
+    let memoKey = null;
 
-    const lastBody = body(last);
-    const lastRange = range(last);
-    const prevBody = body(prev);
+    // Fresh tracker fed with every closed candle currently in the array (history recorded on request)
+    function buildEntry(name, args, recordHistory = false) {
+      const tracker = TRACKERS[name].create(...args);
+      const history = recordHistory ? [] : null;
+      for (let i = 0; i < candles.length - 1; i++) {
+        const value = tracker.push(candles[i]);
+        if (history) history.push(value);
+      }
+      return { name, args, tracker, history };
+    }
 
-    // Doji (indecision)
-    if (lastBody / lastRange < 0.1) {
-      patterns.push('DOJI');
+    // Index after the last committed candle in the current array (-1 when the array was rewritten)
+    function resumeIndex() {
+      if (lastCommittedT === null) return 0;
+      let lo = 0;
+      let hi = candles.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (candles[mid].t === lastCommittedT) return mid + 1;
+        if (candles[mid].t < lastCommittedT) lo = mid + 1;
+        else hi = mid - 1;
+      }
+      return -1;
     }
 
-    // Hammer / Shooting Star
-    const upperWick = last.h - Math.max(last.o, last.c);
-    const lowerWick = Math.min(last.o, last.c) - last.l;
-    if (lastBody / lastRange < 0.3 && lowerWick > upperWick * 2 && lowerWick > lastBody * 1.5) {
-      patterns.push('HAMMER');
-      biasScore += 1;
-    } else if (lastBody / lastRange < 0.3 && upperWick > lowerWick * 2 && upperWick > lastBody * 1.5) {
-      patterns.push('SHOOTING_STAR');
-      biasScore -= 1;
+    function sync() {
+      const closedEnd = candles.length - 1;
+      const start = resumeIndex();
+      if (start === -1 || start > closedEnd) {
+        // History was replaced or trimmed past our position: rebuild every tracker from scratch
+        const rebuilt = new Map();
+        for (const [id, entry] of entries) rebuilt.set(id, buildEntry(entry.name, entry.args, entry.history !== null));
+        entries = rebuilt;
+      } else {
+        for (let i = start; i < closedEnd; i++) {
+          for (const entry of entries.values()) {
+            const value = entry.tracker.push(candles[i]);
+            if (entry.history) entry.history.push(value);
+          }
+        }
+      }
+      lastCommittedT = closedEnd > 0 ? candles[closedEnd - 1].t : null;
+
+      const last = candles[candles.length - 1];
+      const key = last ? `${candles.length}|${last.t}|${last.o}|${last.h}|${last.l}|${last.c}` : '';
+      if (key !== memoKey) {
+        memo = new Map();
+        memoKey = key;
+      }
     }
 
-    // Engulfing (requires previous candle)
-    if (prev) {
-      const bullishEngulf = last.c > last.o && prev.c < prev.o && last.c >= prev.o && last.o <= prev.c;
-      const bearishEngulf = last.c < last.o && prev.c > prev.o && last.o >= prev.c && last.c <= prev.o;
-      if (bullishEngulf) {
-        patterns.push('BULLISH_ENGULFING');
-        biasScore += 2;
-      } else if (bearishEngulf) {
-        patterns.push('BEARISH_ENGULFING');
-        biasScore -= 2;
+    function entryFor(name, args, recordHistory = false) {
+      const id = `${name}:${args.join('/')}`;
+      let entry = entries.get(id);
+      if (!entry || (recordHistory && !entry.history)) {
+        entry = buildEntry(name, args, recordHistory);
+        entries.set(id, entry);
       }
+      return entry;
     }
 
-    // Morning/Evening Star (needs 3 candles)
-    if (recent.length >= 3) {
-      const c1 = recent[recent.length - 3];
-      const c2 = recent[recent.length - 2];
-      const c3 = last;
-      const c2Body = body(c2);
-      const c2Range = range(c2);
-      const gapDown = c2.c < c1.c && c2.o < c1.c;
-      const gapUp = c2.c > c1.c && c2.o > c1.c;
-
-      if (gapDown && c2Body / c2Range < 0.3 && c3.c > c1.o) {
-        patterns.push('MORNING_STAR');
-        biasScore += 2;
-      } else if (gapUp && c2Body / c2Range < 0.3 && c3.c < c1.o) {
-        patterns.push('EVENING_STAR');
-        biasScore -= 2;
+    function read(name, rawArgs) {
+      sync();
+      const args = withDefaults(name, rawArgs);
+      const id = `${name}:${args.join('/')}`;
+      if (!memo.has(id)) {
+        const last = candles[candles.length - 1];
+        memo.set(id, last ? entryFor(name, args).tracker.peek(last) : null);
       }
+      return memo.get(id);
     }
 
-    bias = biasScore > 0 ? 'BULLISH' : biasScore < 0 ? 'BEARISH' : null;
+    const engine = {
+      ma: (period, type) => read('ma', [period, type]),
+      sma: (period) => read('sma', [period]),
+      ema: (period) => read('ema', [period]),
+      rsi: (period, maType) => read('rsi', [period, maType]),
+      macd: (fast, slow, signal, maType) => read('macd', [fast, slow, signal, maType]),
+      bollinger: (period, stdDev, maType) => read('bollinger', [period, stdDev, maType]),
+      atr: (period, maType) => read('atr', [period, maType]),
+      stochastic: (kPeriod, dPeriod, maType) => read('stochastic', [kPeriod, dPeriod, maType]),
+      adx: (period, maType) => read('adx', [period, maType]),
+      cci: (period) => read('cci', [period]),
+      williamsR: (period) => read('williamsR', [period]),
+      ichimoku: (tenkan, kijun, senkouB, displacement) => read('ichimoku', [tenkan, kijun, senkouB, displacement]),
+      psar: (step, maxStep) => read('psar', [step, maxStep]),
+      supertrend: (period, multiplier, maType) => read('supertrend', [period, multiplier, maType]),
+      linreg: (period, deviations) => read('linreg', [period, deviations]),
+      stochRsi: (rsiPeriod, stochPeriod, kPeriod, dPeriod, maType) => read('stochRsi', [rsiPeriod, stochPeriod, kPeriod, dPeriod, maType]),
+      roc: (period) => read('roc', [period]),
+      trix: (period, signalPeriod) => read('trix', [period, signalPeriod]),
+      awesome: (fast, slow) => read('awesome', [fast, slow]),
+      ultimate: (short, medium, long) => read('ultimate', [short, medium, long]),
+      keltner: (period, multiplier, atrPeriod, maType) => read('keltner', [period, multiplier, atrPeriod, maType]),
+      donchian: (period) => read('donchian', [period]),
+      bandwidth: (period, stdDev, lookback, maType) => read('bandwidth', [period, stdDev, lookback, maType]),
+      choppiness: (period) => read('choppiness', [period]),
+      efficiency: (period) => read('efficiency', [period]),
 
-    // Confidence score based on number of patterns and body-to-range quality
-    const baseScore = Math.min(1, patterns.length * THRESHOLDS.PATTERN_SCORE_PER_MATCH);
-    const bodyQuality = Math.max(0, 1 - (lastBody / lastRange));
-    const score = Math.min(1, (baseScore * THRESHOLDS.PATTERN_WEIGHT) + (bodyQuality * THRESHOLDS.BODY_WEIGHT));
+      /**
+       * Aligned full series for any accessor above, e.g. series('macd', 12, 26, 9) -> { macd, signal, histogram }.
+       * Closed values are recorded as candles close; the forming candle's entry is the streaming value.
+       * Memoised per tick and shared between callers, so the returned arrays must not be modified.
+       */
+      series(name, ...rawArgs) {
+        sync();
+        const args = withDefaults(name, rawArgs);
+        const id = `series:${name}:${args.join('/')}`;
+        if (!memo.has(id)) {
+          const entry = entryFor(name, args, true);
+          // Evicted candles drop out of the front so the series stays aligned with the array
+          const excess = entry.history.length - Math.max(0, candles.length - 1);
+          if (excess > 0) entry.history.splice(0, excess);
+          const values = candles.length ? entry.history.concat([read(name, args)]) : [];
+          const fields = TRACKERS[name].fields;
+          memo.set(id, fields ? splitFields(values, fields) : values);
+        }
+        return memo.get(id);
+      },
 
-    return { patterns, bias, score };
+      /**
+       * Result of compute() kept under `id` for as long as the indicator values (until the last candle changes)
+       */
+      derive(id, compute) {
+        sync();
+        const key = `derive:${id}`;
+        if (!memo.has(key)) memo.set(key, compute());
+        return memo.get(key);
+      },
+
+      size() {
+        return candles.length;
+      }
+    };
+    return engine;
+  }
+
+  const engines = new WeakMap(); // candle array -> engine
+
+  /**
+   * Shared engine for a candle array: every caller handed the same array (groups, regime detector,
+   * gates, RL state) reads the same memoised values. Throwaway arrays get throwaway engines.
+   */
+  function indicatorsFor(candles) {
+    if (!engines.has(candles)) {
+      engines.set(candles, createEngine(candles));
+    }
+    return engines.get(candles);
+  }
+
+  /**
+   * compute(candles) memoised on the array's shared engine under `id`: detectors built on the indicators
+   * (divergences, levels, patterns, volatility) recompute only when the last candle changes
+   */
+  function memoFor(candles, id, compute) {
+    return indicatorsFor(candles).derive(id, () => compute(candles));
   }
 
   return {
+    MA_TYPES,
+    DEFAULT_SMOOTHING,
     calculateSMA,
     calculateEMA,
     calculateRSI,
@@ -360,7 +1588,58 @@ window.TechnicalIndicators = (function() {
     calculateADX,
     calculateCCI,
     calculateWilliamsR,
-    detectCandlestickPatterns
+    calculateIchimoku,
+    calculateParabolicSAR,
+    calculateSuperTrend,
+    calculateLinearRegression,
+    calculateStochRSI,
+    calculateROC,
+    calculateTRIX,
+    calculateAwesomeOscillator,
+    calculateUltimateOscillator,
+    calculateKeltnerChannels,
+    calculateDonchianChannels,
+    calculateBandwidthPercentile,
+    calculateChoppiness,
+    calculateEfficiencyRatio,
+    calculateMA,
+    createMovingAverage,
+    calculateSMASeries,
+    calculateEMASeries,
+    calculateMASeries,
+    calculateRSISeries,
+    calculateMACDSeries,
+    calculateBollingerBandsSeries,
+    calculateATRSeries,
+    calculateStochasticSeries,
+    calculateADXSeries,
+    calculateCCISeries,
+    calculateWilliamsRSeries,
+    calculateIchimokuSeries,
+    calculateParabolicSARSeries,
+    calculateSuperTrendSeries,
+    calculateLinearRegressionSeries,
+    calculateStochRSISeries,
+    calculateROCSeries,
+    calculateTRIXSeries,
+    calculateAwesomeOscillatorSeries,
+    calculateUltimateOscillatorSeries,
+    calculateKeltnerChannelsSeries,
+    calculateDonchianChannelsSeries,
+    calculateBandwidthPercentileSeries,
+    calculateChoppinessSeries,
+    calculateEfficiencyRatioSeries,
+    crossSeries,
+    crossesAbove,
+    crossesBelow,
+    barsSince,
+    slope,
+    findPivots,
+    detectCandlestickPatterns,
+    analyzeGaps,
+    createEngine,
+    indicatorsFor,
+    memoFor
   };
 })();
 
@@ -0,0 +1,169 @@
+/**
+ * Pocket Scout Dynamic Time - Tick Filter
+ * Rejects bad parses and spikes before they reach the candle builder, while letting real fast moves through
+ */
+
+window.TickFilter = (function() {
+  'use strict';
+
+  const WINDOW_SIZE = 60;              // Recent accepted prices per asset used as the baseline
+  const MIN_SAMPLES = 10;              // Below this only absurd jumps are rejected
+  const MAD_MULTIPLIER = 12;           // Robust z-score above which a tick is an outlier
+  const MIN_DEVIATION_RATIO = 0.002;   // Never reject moves under 0.2% (flat markets have MAD ~ 0)
+  const ABSURD_DEVIATION_RATIO = 0.3;  // A 30% jump is a wrong number on the page (balance, timer, payout)
+  const CONFIRM_TICKS = 3;             // Consecutive outliers agreeing on a new level = real fast move
+  const CONFIRM_TOLERANCE_RATIO = 0.001;
+  const SEED_TICKS = 3;                // Agreeing ticks needed before the first baseline is trusted
+  const REANCHOR_TICKS = 5;            // Consecutive agreeing ABSURD ticks = a different instrument, not a bad parse
+  const LOG_FIRST_REJECTIONS = 20;     // Then log every 100th to keep the console usable
+
+  const states = new Map(); // asset -> { prices, candidates, seeds, absurd }
+  let stats = createStats();
+
+  function createStats() {
+    return {
+      accepted: 0,
+      rejected: 0,
+      seeding: 0,                      // Held back while a first baseline forms (not counted as rejected)
+      confirmedMoves: 0,
+      reasons: { INVALID: 0, ABSURD: 0, OUTLIER: 0 },
+      reanchors: 0,
+      lastRejection: null
+    };
+  }
+
+  function getState(asset) {
+    const key = asset || 'default';
+    if (!states.has(key)) {
+      states.set(key, { prices: [], candidates: [], seeds: [], absurd: [] });
+    }
+    return states.get(key);
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function accept(state, price) {
+    state.prices.push(price);
+    if (state.prices.length > WINDOW_SIZE) state.prices.shift();
+    state.candidates = [];
+    state.absurd = [];
+    stats.accepted++;
+    return { accepted: true };
+  }
+
+  function reject(tick, reason, baseline) {
+    stats.rejected++;
+    stats.reasons[reason]++;
+    stats.lastRejection = {
+      timestamp: tick.timestamp || Date.now(),
+      price: tick.price,
+      baseline,
+      reason,
+      asset: tick.asset || null,
+      adapter: tick.adapter || null,
+      selector: tick.selector || null
+    };
+    if (stats.rejected <= LOG_FIRST_REJECTIONS || stats.rejected % 100 === 0) {
+      console.warn(`[TickFilter] 🚫 Rejected tick ${tick.price} (${reason}, baseline ${baseline !== null ? baseline : 'n/a'}, adapter: ${tick.adapter || 'n/a'}, selector: ${tick.selector || 'n/a'}) - ${stats.rejected} total`);
+    }
+    return { accepted: false, reason, baseline };
+  }
+
+  // Append to a run of agreeing prices, restarting the run when the price moves away from its last entry
+  function extendRun(run, price) {
+    const last = run[run.length - 1];
+    if (last !== undefined && Math.abs(price - last) / last > CONFIRM_TOLERANCE_RATIO) run.length = 0;
+    run.push(price);
+    return run.length;
+  }
+
+  /**
+   * Validate a tick ({ price, asset, adapter, selector, timestamp }) against the asset's recent prices.
+   * Returns { accepted } or { accepted: false, reason, baseline }.
+   */
+  function check(tick) {
+    const price = tick ? tick.price : null;
+    if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+      return reject(tick || {}, 'INVALID', null);
+    }
+
+    const state = getState(tick.asset);
+    if (state.prices.length === 0) {
+      // First baseline only from SEED_TICKS agreeing ticks, so one bad parse cannot become the anchor
+      if (extendRun(state.seeds, price) < SEED_TICKS) {
+        stats.seeding++;
+        return { accepted: false, reason: 'SEEDING', baseline: null };
+      }
+      state.prices = state.seeds.slice(0, -1);
+      state.seeds = [];
+      return accept(state, price);
+    }
+
+    const baseline = median(state.prices);
+    const deviation = Math.abs(price - baseline);
+    if (deviation / baseline > ABSURD_DEVIATION_RATIO) {
+      // A steady run far from the baseline is the feed now quoting something else (e.g. a new pair): re-anchor
+      if (extendRun(state.absurd, price) >= REANCHOR_TICKS) {
+        state.prices = state.absurd.slice(0, -1);
+        stats.reanchors++;
+        console.log(`[TickFilter] 🔄 Baseline re-anchored for ${tick.asset || 'default'}: ${baseline} -> ${price}`);
+        return accept(state, price);
+      }
+      return reject(tick, 'ABSURD', baseline);
+    }
+    if (state.prices.length < MIN_SAMPLES) {
+      return accept(state, price);
+    }
+
+    const mad = median(state.prices.map(p => Math.abs(p - baseline)));
+    const threshold = Math.max(MAD_MULTIPLIER * 1.4826 * mad, baseline * MIN_DEVIATION_RATIO);
+    if (deviation <= threshold) {
+      return accept(state, price);
+    }
+
+    // Outlier: a real move keeps printing near the new level, a bad parse does not
+    state.absurd = [];
+    if (extendRun(state.candidates, price) >= CONFIRM_TICKS) {
+      // Re-anchor the baseline on the new level
+      state.prices = state.candidates.slice(0, -1);
+      stats.confirmedMoves++;
+      console.log(`[TickFilter] ⚡ Fast move confirmed for ${tick.asset || 'default'}: ${baseline} -> ${price}`);
+      return accept(state, price);
+    }
+    return reject(tick, 'OUTLIER', baseline);
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      reasons: { ...stats.reasons },
+      rejectionRate: stats.accepted + stats.rejected > 0 ? stats.rejected / (stats.accepted + stats.rejected) : 0
+    };
+  }
+
+  /**
+   * Forget an asset's baseline (or every asset and the counters when called without one)
+   */
+  function reset(asset = null) {
+    if (asset) {
+      states.delete(asset);
+      return;
+    }
+    states.clear();
+    stats = createStats();
+  }
+
+  return {
+    check,
+    getStats,
+    reset,
+    WINDOW_SIZE,
+    CONFIRM_TICKS
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Tick Filter loaded');
@@ -0,0 +1,110 @@
+/**
+ * Pocket Scout Dynamic Time - Volatility Model
+ * Volatility level from the percentile of the current ATR/price ratio within the asset's own candle
+ * history, so quiet and busy OTC pairs are each judged against their usual range
+ */
+
+window.VolatilityModel = (function() {
+  'use strict';
+
+  const TI = window.TechnicalIndicators;
+  const GLOBAL_THRESHOLDS = window.PocketScoutThresholds || {};
+
+  const ATR_PERIOD = 14;
+  const PRICE_PERIOD = 20;         // SMA of closes the ATR is divided by
+  const LOOKBACK = 1000;           // Closed bars ranked against (the buffer holds 2000)
+  const MIN_SAMPLES = 100;         // Fewer ratios than this fall back to the fixed thresholds
+  const LOW_PERCENTILE = GLOBAL_THRESHOLDS.VOL_PERCENTILE_LOW || 20;
+  const HIGH_PERCENTILE = GLOBAL_THRESHOLDS.VOL_PERCENTILE_HIGH || 80;
+  const EXTREME_PERCENTILE = GLOBAL_THRESHOLDS.VOL_PERCENTILE_EXTREME || 95;
+  const MAX_PASS_PERCENTILE = GLOBAL_THRESHOLDS.VOL_PERCENTILE_CAP || 98;
+
+  // Fixed ATR/price thresholds used while an asset has too little history to rank against
+  const FALLBACK_LOW = GLOBAL_THRESHOLDS.VOL_RISK_LOW || 0.002;
+  const FALLBACK_ELEVATED = GLOBAL_THRESHOLDS.VOL_RISK_ELEVATED || 0.012;
+  const FALLBACK_EXTREME = GLOBAL_THRESHOLDS.VOL_RISK_EXTREME || 0.02;
+  const FALLBACK_CAP = GLOBAL_THRESHOLDS.VOL_RISK_CAP || 0.025;
+
+  // Share of `values` below `value` (ties count half), 0-100
+  function percentileOf(values, value) {
+    let below = 0;
+    let equal = 0;
+    for (const v of values) {
+      if (v < value) below++;
+      else if (v === value) equal++;
+    }
+    return ((below + equal / 2) / values.length) * 100;
+  }
+
+  function levelFor(percentile) {
+    if (percentile < LOW_PERCENTILE) return 'LOW';
+    if (percentile > EXTREME_PERCENTILE) return 'EXTREME';
+    if (percentile > HIGH_PERCENTILE) return 'HIGH';
+    return 'BALANCED';
+  }
+
+  function fallbackLevel(ratio) {
+    if (ratio < FALLBACK_LOW) return 'LOW';
+    if (ratio > FALLBACK_EXTREME) return 'EXTREME';
+    if (ratio > FALLBACK_ELEVATED) return 'HIGH';
+    return 'BALANCED';
+  }
+
+  /**
+   * { ratio (ATR(14) / SMA(20) of the current bar), percentile 0-100 (null while not adaptive),
+   *   level LOW | BALANCED | HIGH | EXTREME, passes (tradeable band), adaptive, samples },
+   * or null when there is no ATR yet.
+   */
+  function classify(candles) {
+    if (!candles || candles.length < PRICE_PERIOD) return null;
+    return TI.memoFor(candles, 'volatility', rank);
+  }
+
+  function rank(candles) {
+    const ind = TI.indicatorsFor(candles);
+    const atrSeries = ind.series('atr', ATR_PERIOD);
+    const priceSeries = ind.series('sma', PRICE_PERIOD);
+    const current = atrSeries.length ? atrSeries[atrSeries.length - 1] : null;
+    const price = priceSeries.length ? priceSeries[priceSeries.length - 1] : null;
+
+    let result = null;
+    if (current && price) {
+      const ratio = current / price;
+      // Closed bars only: the forming bar is the one being ranked
+      const history = [];
+      for (let i = Math.max(0, atrSeries.length - 1 - LOOKBACK); i < atrSeries.length - 1; i++) {
+        if (atrSeries[i] && priceSeries[i]) history.push(atrSeries[i] / priceSeries[i]);
+      }
+
+      if (history.length >= MIN_SAMPLES) {
+        const percentile = percentileOf(history, ratio);
+        result = {
+          ratio,
+          percentile,
+          level: levelFor(percentile),
+          passes: percentile >= LOW_PERCENTILE && percentile <= MAX_PASS_PERCENTILE,
+          adaptive: true,
+          samples: history.length
+        };
+      } else {
+        result = {
+          ratio,
+          percentile: null,
+          level: fallbackLevel(ratio),
+          passes: ratio >= FALLBACK_LOW && ratio <= FALLBACK_CAP,
+          adaptive: false,
+          samples: history.length
+        };
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    classify,
+    LEVELS: ['LOW', 'BALANCED', 'HIGH', 'EXTREME']
+  };
+})();
+
+console.log('[Pocket Scout Dynamic Time] Volatility Model loaded');